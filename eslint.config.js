@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['netlify/**/*.js', 'vite.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,124 @@
+import { jsonResponse } from '../lib/http.js';
+
+/**
+ * SPOTIFY TOKEN FUNCTION
+ *
+ * Performs the Spotify client-credentials exchange on the server, so the
+ * client secret never reaches the browser bundle. SpotifyAuth (in its default
+ * 'proxy' token mode) fetches catalog tokens from here.
+ *
+ * Served at /api/spotify-token (see netlify.toml). During `vite dev` and
+ * `vite preview` the same handler is mounted by the dev server middleware in
+ * vite.config.js.
+ *
+ * Environment (server-side only, never prefixed with VITE_):
+ * - SPOTIFY_CLIENT_ID:     Spotify app client ID (falls back to VITE_SPOTIFY_API_KEY)
+ * - SPOTIFY_CLIENT_SECRET: Spotify app client secret
+ *
+ * Responses:
+ * - 200 { access_token, expires_in }
+ * - 405 for anything but GET
+ * - 500 { error } when the credentials aren't configured or Spotify rejects them
+ * - 429 / 502 { error } when Spotify is rate limiting or failing
+ */
+
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+/**
+ * Renew a cached token this long before Spotify says it expires
+ */
+const EXPIRY_MARGIN = 60 * 1000;
+
+/**
+ * Token shared by requests handled by the same warm function instance
+ */
+let cachedToken = null;
+
+/**
+ * Exchange the app credentials for a catalog token
+ *
+ * @param {string} clientId - Spotify app client ID
+ * @param {string} clientSecret - Spotify app client secret
+ * @returns {Promise<Response>} Spotify's token response
+ */
+const requestToken = (clientId, clientSecret) => fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': 'Basic ' + Buffer.from(`${clientId}:${clientSecret}`).toString('base64')
+    },
+    body: new URLSearchParams({ grant_type: 'client_credentials' })
+});
+
+/**
+ * Handle a token request
+ *
+ * Shared by the Netlify Function and the vite dev server middleware, which
+ * passes the variables it loaded from .env.
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment holding SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET
+ * @returns {Promise<Response>} Token or error response
+ */
+export const handleTokenRequest = async (request, env) => {
+    if (request.method !== 'GET') {
+        return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET' });
+    }
+
+    const clientId = env.SPOTIFY_CLIENT_ID || env.VITE_SPOTIFY_API_KEY;
+    const clientSecret = env.SPOTIFY_CLIENT_SECRET;
+
+    if (!clientId || !clientSecret) {
+        console.error('spotify-token: SPOTIFY_CLIENT_ID / SPOTIFY_CLIENT_SECRET are not set');
+        return jsonResponse(500, { error: 'Spotify credentials are not configured on the server - set SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET' });
+    }
+
+    if (cachedToken && Date.now() < cachedToken.expiresAt - EXPIRY_MARGIN) {
+        return jsonResponse(200, {
+            access_token: cachedToken.accessToken,
+            expires_in: Math.floor((cachedToken.expiresAt - EXPIRY_MARGIN - Date.now()) / 1000)
+        });
+    }
+
+    let response;
+    try {
+        response = await requestToken(clientId, clientSecret);
+    } catch (error) {
+        console.error('spotify-token: could not reach Spotify:', error);
+        return jsonResponse(502, { error: 'Could not reach Spotify' });
+    }
+
+    if (!response.ok) {
+        console.error('spotify-token: exchange failed:', response.status, await response.text());
+
+        if (response.status === 429) {
+            return jsonResponse(429, { error: 'Spotify is rate limiting token requests' }, {
+                'Retry-After': response.headers.get('Retry-After') || '1'
+            });
+        }
+        // Rejected credentials mean the server's client ID/secret are wrong
+        if (response.status === 400 || response.status === 401) {
+            return jsonResponse(500, { error: `Spotify rejected the app's credentials (${response.status}) - check SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET on the server` });
+        }
+        return jsonResponse(502, { error: `Spotify token exchange failed: ${response.status}` });
+    }
+
+    const data = await response.json();
+    cachedToken = {
+        accessToken: data.access_token,
+        expiresAt: Date.now() + data.expires_in * 1000
+    };
+
+    return jsonResponse(200, {
+        access_token: data.access_token,
+        expires_in: Math.floor((cachedToken.expiresAt - EXPIRY_MARGIN - Date.now()) / 1000)
+    });
+};
+
+/**
+ * Netlify Function entry point
+ *
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>} Token or error response
+ */
+export default (request) => handleTokenRequest(request, process.env);
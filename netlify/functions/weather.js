@@ -0,0 +1,230 @@
+import { jsonResponse } from '../lib/http.js';
+import { getMockCondition, mockCurrentWeather, mockForecast, mockGeocode } from '../lib/weatherMock.js';
+
+/**
+ * WEATHER FUNCTION
+ *
+ * Proxies OpenWeatherMap so the API key is added on the server and never
+ * reaches the browser bundle. getWeather, getForecast and searchCities
+ * (src/services/api.js) call it in their default 'proxy' weather mode.
+ *
+ * Routes (see netlify.toml; mounted on the dev server by vite.config.js):
+ * - GET /api/weather?lat=&lon=&units=           current weather
+ * - GET /api/weather/forecast?lat=&lon=&units=  5-day / 3-hour forecast
+ * - GET /api/weather/geocode?q=&limit=          city search
+ *
+ * Parameters are validated before anything is sent upstream, and each client
+ * IP may make RATE_LIMIT requests per RATE_WINDOW. The limit is kept in
+ * memory per function instance, so it is a best-effort guard against a
+ * single client burning through the OpenWeatherMap quota rather than an
+ * exact global limit.
+ *
+ * Environment (server-side only):
+ * - WEATHER_API_KEY: OpenWeatherMap key (falls back to VITE_WEATHER_API_KEY)
+ * - WEATHER_MOCK:    serve canned data instead of calling OpenWeatherMap (see weatherMock.js)
+ *
+ * Responses:
+ * - 200 OpenWeatherMap's JSON, unchanged
+ * - 400 { error } for invalid parameters, 404 for unknown routes, 405 for anything but GET
+ * - 429 { error } with Retry-After when the client (or the key) is rate limited
+ * - 401 / 404 passed through from OpenWeatherMap (rejected key, unknown location)
+ * - 500 { error } when the API key isn't configured, 502 when OpenWeatherMap fails
+ */
+
+const OPENWEATHERMAP_URL = 'https://api.openweathermap.org';
+
+/**
+ * Requests allowed per client IP in each window
+ */
+const RATE_LIMIT = 60;
+const RATE_WINDOW = 60 * 1000;
+
+/**
+ * Unit systems OpenWeatherMap accepts (matches src/services/units.js)
+ */
+const UNIT_SYSTEMS = ['metric', 'imperial', 'standard'];
+
+/**
+ * Request counts per client IP: ip → { count, windowStart }
+ */
+const rateLimits = new Map();
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Parse a coordinate query parameter
+ *
+ * @param {string|null} value - Raw parameter
+ * @param {number} limit - Largest absolute value allowed (90 for lat, 180 for lon)
+ * @returns {number|null} The coordinate, or null when missing or out of range
+ */
+const parseCoordinate = (value, limit) => {
+    if (value === null || value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+};
+
+/**
+ * Validate the parameters for a route
+ *
+ * @param {string} route - 'weather', 'forecast' or 'geocode'
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} { params } with the cleaned parameters, or { error } describing the problem
+ */
+const validateParams = (route, params) => {
+    if (route === 'geocode') {
+        const q = (params.get('q') || '').trim();
+        const limit = Number(params.get('limit') || 5);
+
+        if (!q || q.length > 100) return { error: 'q must be 1 to 100 characters' };
+        if (!Number.isInteger(limit) || limit < 1 || limit > 5) return { error: 'limit must be a whole number from 1 to 5' };
+        return { params: { q, limit } };
+    }
+
+    const lat = parseCoordinate(params.get('lat'), 90);
+    const lon = parseCoordinate(params.get('lon'), 180);
+    const units = params.get('units') || 'standard';
+
+    if (lat === null) return { error: 'lat must be a number from -90 to 90' };
+    if (lon === null) return { error: 'lon must be a number from -180 to 180' };
+    if (!UNIT_SYSTEMS.includes(units)) return { error: `units must be one of ${UNIT_SYSTEMS.join(', ')}` };
+    return { params: { lat, lon, units } };
+};
+
+// ============================================================================
+// RATE LIMITING
+// ============================================================================
+
+/**
+ * Count a request against its client's window
+ *
+ * @param {string} ip - Client IP ('unknown' when the platform doesn't say)
+ * @returns {number} Seconds until the client may retry, or 0 when the request is allowed
+ */
+const checkRateLimit = (ip) => {
+    const now = Date.now();
+
+    // Forget finished windows so the map doesn't grow without bound
+    if (rateLimits.size > 1000) {
+        rateLimits.forEach((entry, key) => {
+            if (now - entry.windowStart >= RATE_WINDOW) rateLimits.delete(key);
+        });
+    }
+
+    const entry = rateLimits.get(ip);
+    if (!entry || now - entry.windowStart >= RATE_WINDOW) {
+        rateLimits.set(ip, { count: 1, windowStart: now });
+        return 0;
+    }
+
+    entry.count += 1;
+    if (entry.count > RATE_LIMIT) {
+        return Math.ceil((entry.windowStart + RATE_WINDOW - now) / 1000);
+    }
+    return 0;
+};
+
+// ============================================================================
+// HANDLER
+// ============================================================================
+
+/**
+ * OpenWeatherMap URL for a route
+ *
+ * @param {string} route - 'weather', 'forecast' or 'geocode'
+ * @param {Object} params - Validated parameters
+ * @param {string} apiKey - OpenWeatherMap key
+ * @returns {string} Upstream URL
+ */
+const buildUpstreamUrl = (route, params, apiKey) => {
+    const query = new URLSearchParams({ ...params, appid: apiKey });
+    const path = route === 'geocode' ? '/geo/1.0/direct' : `/data/2.5/${route}`;
+    return `${OPENWEATHERMAP_URL}${path}?${query}`;
+};
+
+/**
+ * Handle a weather request
+ *
+ * Shared by the Netlify Function and the vite dev server middleware, which
+ * passes the variables it loaded from .env.
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment holding WEATHER_API_KEY / WEATHER_MOCK
+ * @param {Object} client
+ * @param {string} client.ip - Client IP used for rate limiting
+ * @returns {Promise<Response>} OpenWeatherMap data or an error response
+ */
+export const handleWeatherRequest = async (request, env, { ip = 'unknown' } = {}) => {
+    if (request.method !== 'GET') {
+        return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET' });
+    }
+
+    // The last path segment picks the route, whether called as /api/weather/... or /.netlify/functions/weather/...
+    const url = new URL(request.url);
+    const route = url.pathname.replace(/\/+$/, '').split('/').pop();
+
+    if (!['weather', 'forecast', 'geocode'].includes(route)) {
+        return jsonResponse(404, { error: `Unknown weather route: ${route}` });
+    }
+
+    const retryAfter = checkRateLimit(ip);
+    if (retryAfter) {
+        return jsonResponse(429, { error: 'Too many weather requests - please slow down' }, {
+            'Retry-After': String(retryAfter)
+        });
+    }
+
+    const { params, error } = validateParams(route, url.searchParams);
+    if (error) {
+        return jsonResponse(400, { error });
+    }
+
+    if (env.WEATHER_MOCK && env.WEATHER_MOCK !== 'false') {
+        const condition = getMockCondition(env.WEATHER_MOCK);
+        const mock = route === 'geocode' ? mockGeocode(params)
+            : route === 'forecast' ? mockForecast({ ...params, condition })
+            : mockCurrentWeather({ ...params, condition });
+        return jsonResponse(200, mock);
+    }
+
+    const apiKey = env.WEATHER_API_KEY || env.VITE_WEATHER_API_KEY;
+    if (!apiKey) {
+        console.error('weather: WEATHER_API_KEY is not set');
+        return jsonResponse(500, { error: 'Weather API key is not configured on the server' });
+    }
+
+    let response;
+    try {
+        response = await fetch(buildUpstreamUrl(route, params, apiKey));
+    } catch (fetchError) {
+        console.error('weather: could not reach OpenWeatherMap:', fetchError);
+        return jsonResponse(502, { error: 'Could not reach OpenWeatherMap' });
+    }
+
+    if (!response.ok) {
+        console.error(`weather: ${route} request failed:`, response.status, await response.text());
+
+        if (response.status === 429) {
+            return jsonResponse(429, { error: 'Weather service rate limit reached' }, {
+                'Retry-After': response.headers.get('Retry-After') || '60'
+            });
+        }
+        if (response.status === 401 || response.status === 404) {
+            return jsonResponse(response.status, { error: `OpenWeatherMap error: ${response.status}` });
+        }
+        return jsonResponse(502, { error: `OpenWeatherMap error: ${response.status}` });
+    }
+
+    return jsonResponse(200, await response.json());
+};
+
+/**
+ * Netlify Function entry point
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Netlify context (provides the client IP)
+ * @returns {Promise<Response>} OpenWeatherMap data or an error response
+ */
+export default (request, context) => handleWeatherRequest(request, process.env, { ip: context?.ip });
@@ -0,0 +1,23 @@
+/**
+ * HTTP HELPERS
+ *
+ * Shared by the Netlify Functions in netlify/functions (kept outside that
+ * directory so Netlify doesn't deploy this file as a function of its own).
+ */
+
+/**
+ * Build a JSON response that browsers and CDNs never cache
+ *
+ * @param {number} status - HTTP status
+ * @param {*} body - Response body
+ * @param {Object} headers - Extra headers
+ * @returns {Response} JSON response
+ */
+export const jsonResponse = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+    status,
+    headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        ...headers
+    }
+});
@@ -0,0 +1,198 @@
+/**
+ * MOCK WEATHER
+ *
+ * Canned OpenWeatherMap responses for local development and tests, served by
+ * the weather function when WEATHER_MOCK is set (no API key needed):
+ *
+ * - WEATHER_MOCK=true        clear skies
+ * - WEATHER_MOCK=Rain        any condition below (case-insensitive), to try
+ *                            other themes and playlists
+ *
+ * Responses have the same shape as the real current weather, 5-day forecast
+ * and geocoding endpoints, and follow the requested coordinates and units.
+ * Sunrise and sunset are placed on the current day so the solar phase
+ * (solarPhase.js) behaves realistically.
+ */
+
+/**
+ * Conditions the mock can report, with a typical temperature in Celsius
+ */
+const MOCK_CONDITIONS = {
+    clear: { id: 800, main: 'Clear', description: 'clear sky', icon: '01', temp: 22, clouds: 0 },
+    clouds: { id: 803, main: 'Clouds', description: 'broken clouds', icon: '04', temp: 17, clouds: 75 },
+    rain: { id: 500, main: 'Rain', description: 'light rain', icon: '10', temp: 13, clouds: 90, rain: 1.2 },
+    drizzle: { id: 300, main: 'Drizzle', description: 'light intensity drizzle', icon: '09', temp: 12, clouds: 95, rain: 0.3 },
+    thunderstorm: { id: 211, main: 'Thunderstorm', description: 'thunderstorm', icon: '11', temp: 19, clouds: 100, rain: 6 },
+    snow: { id: 600, main: 'Snow', description: 'light snow', icon: '13', temp: -2, clouds: 100, snow: 0.8 },
+    mist: { id: 701, main: 'Mist', description: 'mist', icon: '50', temp: 9, clouds: 60 }
+};
+
+/**
+ * Order the forecast cycles through, one condition per day
+ */
+const FORECAST_CYCLE = ['clear', 'clouds', 'rain', 'thunderstorm', 'drizzle'];
+
+/**
+ * Pick the mocked condition from WEATHER_MOCK
+ *
+ * @param {string} setting - Value of WEATHER_MOCK
+ * @returns {string} Key into MOCK_CONDITIONS (clear for 'true' or anything unknown)
+ */
+export const getMockCondition = (setting) => {
+    const key = String(setting || '').trim().toLowerCase();
+    return MOCK_CONDITIONS[key] ? key : 'clear';
+};
+
+/**
+ * Convert a Celsius temperature to the requested unit system
+ *
+ * @param {number} celsius
+ * @param {string} units - 'metric', 'imperial' or 'standard'
+ * @returns {number} Temperature rounded to two decimals
+ */
+const convertTemperature = (celsius, units) => {
+    const value = units === 'imperial' ? celsius * 9 / 5 + 32
+        : units === 'standard' ? celsius + 273.15
+        : celsius;
+    return Math.round(value * 100) / 100;
+};
+
+/**
+ * Sunrise and sunset on the current local day for a longitude
+ *
+ * @param {number} longitude
+ * @returns {Object} { timezone, sunrise, sunset } in OpenWeatherMap's units (seconds)
+ */
+const getSunTimes = (longitude) => {
+    const timezone = Math.round(longitude / 15) * 3600;
+    const now = Math.floor(Date.now() / 1000);
+    const dayStart = Math.floor((now + timezone) / 86400) * 86400 - timezone;
+
+    return {
+        timezone,
+        sunrise: dayStart + 6.5 * 3600,
+        sunset: dayStart + 19 * 3600
+    };
+};
+
+/**
+ * Weather fields shared by current conditions and forecast blocks
+ *
+ * @param {string} conditionKey - Key into MOCK_CONDITIONS
+ * @param {string} units - Unit system
+ * @param {boolean} isDay - Whether the sun is up (picks the d/n icon)
+ * @param {string} precipitationPeriod - '1h' for current weather, '3h' for forecast blocks
+ * @returns {Object} main/weather/wind/clouds/rain/snow fields
+ */
+const buildConditions = (conditionKey, units, isDay, precipitationPeriod) => {
+    const condition = MOCK_CONDITIONS[conditionKey];
+    const temp = convertTemperature(condition.temp, units);
+
+    return {
+        weather: [{
+            id: condition.id,
+            main: condition.main,
+            description: condition.description,
+            icon: `${condition.icon}${isDay ? 'd' : 'n'}`
+        }],
+        main: {
+            temp,
+            feels_like: convertTemperature(condition.temp - 1.5, units),
+            temp_min: convertTemperature(condition.temp - 3, units),
+            temp_max: convertTemperature(condition.temp + 3, units),
+            pressure: 1013,
+            humidity: condition.rain || condition.snow ? 88 : 55
+        },
+        visibility: conditionKey === 'mist' ? 2000 : 10000,
+        wind: { speed: units === 'imperial' ? 8.05 : 3.6, deg: 220 },
+        clouds: { all: condition.clouds },
+        ...(condition.rain && { rain: { [precipitationPeriod]: condition.rain } }),
+        ...(condition.snow && { snow: { [precipitationPeriod]: condition.snow } })
+    };
+};
+
+/**
+ * Mock current weather (OpenWeatherMap /data/2.5/weather)
+ *
+ * @param {Object} params
+ * @param {number} params.lat
+ * @param {number} params.lon
+ * @param {string} params.units - Unit system
+ * @param {string} params.condition - Key from getMockCondition
+ * @returns {Object} Current weather response
+ */
+export const mockCurrentWeather = ({ lat, lon, units, condition }) => {
+    const { timezone, sunrise, sunset } = getSunTimes(lon);
+    const dt = Math.floor(Date.now() / 1000);
+
+    return {
+        coord: { lon, lat },
+        ...buildConditions(condition, units, dt >= sunrise && dt < sunset, '1h'),
+        base: 'stations',
+        dt,
+        sys: { country: 'US', sunrise, sunset },
+        timezone,
+        id: 0,
+        name: 'Mock City',
+        cod: 200
+    };
+};
+
+/**
+ * Mock 5-day / 3-hour forecast (OpenWeatherMap /data/2.5/forecast)
+ *
+ * The first day uses the mocked condition; later days cycle through
+ * FORECAST_CYCLE so the forecast strip has some variety.
+ *
+ * @param {Object} params - Same as mockCurrentWeather
+ * @returns {Object} Forecast response with 40 blocks
+ */
+export const mockForecast = ({ lat, lon, units, condition }) => {
+    const { timezone, sunrise, sunset } = getSunTimes(lon);
+    const firstBlock = Math.ceil(Date.now() / 1000 / 10800) * 10800;
+    const startIndex = Math.max(0, FORECAST_CYCLE.indexOf(condition));
+
+    const list = Array.from({ length: 40 }, (_, index) => {
+        const dt = firstBlock + index * 10800;
+        const day = Math.floor(index / 8);
+        const blockCondition = day === 0 ? condition : FORECAST_CYCLE[(startIndex + day) % FORECAST_CYCLE.length];
+        const secondsIntoDay = (((dt - sunrise) % 86400) + 86400) % 86400;
+        const isDay = secondsIntoDay < sunset - sunrise;
+
+        return {
+            dt,
+            ...buildConditions(blockCondition, units, isDay, '3h'),
+            pop: MOCK_CONDITIONS[blockCondition].rain || MOCK_CONDITIONS[blockCondition].snow ? 0.8 : 0,
+            sys: { pod: isDay ? 'd' : 'n' },
+            dt_txt: new Date(dt * 1000).toISOString().replace('T', ' ').slice(0, 19)
+        };
+    });
+
+    return {
+        cod: '200',
+        message: 0,
+        cnt: list.length,
+        list,
+        city: { id: 0, name: 'Mock City', coord: { lat, lon }, country: 'US', timezone, sunrise, sunset }
+    };
+};
+
+/**
+ * Mock city search (OpenWeatherMap /geo/1.0/direct)
+ *
+ * Returns a single match named after the query.
+ *
+ * @param {Object} params
+ * @param {string} params.q - Search text
+ * @returns {Array<Object>} Geocoding matches
+ */
+export const mockGeocode = ({ q }) => {
+    const [name, country = 'US'] = q.split(',').map(part => part.trim());
+
+    return [{
+        name: name || 'Mock City',
+        lat: 40.7128,
+        lon: -74.006,
+        country: country.toUpperCase().slice(0, 2)
+    }];
+};
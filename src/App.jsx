@@ -6,12 +6,13 @@
  * weather data fetching, dynamic theming, and component coordination.
  * 
  * Key Responsibilities:
- * - Geolocation acquisition and management
- * - Weather data fetching and state management
+ * - Geolocation acquisition, with manual city search and saved locations as fallback
+ * - Weather data fetching and state management, with cached readings and
+ *   background refresh (on an interval and when the tab becomes visible)
  * - Dynamic theme system based on weather conditions
  * - Application-wide error handling and loading states
  * - Component orchestration and data flow management
- * - User settings management and persistence
+ * - Reacting to user settings (persisted in the settings store)
  * 
  * Architecture:
  * The component follows a centralized state management pattern where all
@@ -20,10 +21,10 @@
  * data flow and centralized error handling.
  * 
  * Data Flow:
- * 1. User location → Weather API → Weather data
- * 2. Weather data → Theme system → Dynamic styling
- * 3. Weather data + Settings → Playlist generation
- * 4. User preferences → Settings → Playlist customization
+ * 1. User location (geolocation or picked city) → Weather API → Weather data (+ 5-day forecast)
+ * 2. Weather data (or selected forecast block) → Theme system → Dynamic styling
+ * 3. Weather data (or selected forecast block) + Settings → Playlist generation
+ * 4. User preferences → Settings store (localStorage) → Playlist customization
  * 
  */
 
@@ -31,26 +32,72 @@ import Header from './Components/Header';
 import Playlists from './Components/Playlists';
 import Settings from './Components/Settings';
 import Weather from './Components/WeatherCard';
+import ForecastStrip from './Components/ForecastStrip';
+import LocationPicker from './Components/LocationPicker';
 import './CSS/App.css';
-import { useState, useEffect } from 'react';
-import { getWeather } from './services/api';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getWeather, getForecast } from './services/api';
+import { forecastBlockToWeather } from './services/forecast';
+import { useSettings } from './services/settingsStore';
 import { useWeatherTheme } from './services/weatherThemes';
+import { getConditionEntry } from './services/weatherCatalog';
+import { getSolarPhase } from './services/solarPhase';
+import { RateLimitError, ConfigError, NetworkError, RegionError } from './services/errors';
+import { useCountdown } from './services/useCountdown';
+import { WEATHER_CACHE_TTL } from './services/weatherCache';
+import { getRestoredView, rememberView } from './services/loginReturn';
+
+/**
+ * User-facing message for a failed weather fetch
+ * 
+ * @param {Error} err - Error from getWeather
+ * @returns {string} Message for the error screen or the inline notice
+ */
+const describeWeatherError = (err) => {
+  if (err instanceof RateLimitError) return 'The weather service is busy right now.';
+  if (err instanceof ConfigError) return err.message;
+  if (err instanceof NetworkError) return 'Could not reach the weather service - check your connection and try again.';
+  if (err instanceof RegionError) return 'Weather data isn\'t available for this location - try a different one.';
+  return 'Failed to fetch weather data';
+};
 
 function App() {
   // ============================================================================
   // CORE APPLICATION STATE MANAGEMENT
   // ============================================================================
   
+  /**
+   * View saved before a Spotify login, when this page load is the login's
+   * callback (see loginReturn.js). Seeds the location, forecast block and
+   * scroll position so the user lands where they left off.
+   * 
+   * @type {Object|null}
+   */
+  const [restoredView] = useState(getRestoredView);
+  const pendingRestoreRef = useRef(restoredView);
+  
   /**
    * User's geographic location coordinates
    * 
    * Essential for weather data retrieval. Contains latitude and longitude
-   * obtained from the browser's Geolocation API. This data drives the
-   * entire application experience by determining weather conditions.
+   * obtained from the browser's Geolocation API, or a city the user picked
+   * in the LocationPicker (which also carries name, state and country).
+   * This data drives the entire application experience by determining
+   * weather conditions.
    * 
-   * @type {Object|null} - {latitude: number, longitude: number} or null
+   * @type {Object|null} - {latitude: number, longitude: number, name?, state?, country?} or null
    */
-  const [location, setLocation] = useState(null);
+  const [location, setLocation] = useState(() => restoredView?.location || null);
+  
+  /**
+   * Why geolocation couldn't be used, if it failed
+   * 
+   * Shown alongside the location picker so users know why they're being
+   * asked to search for a city instead of being stuck on an error screen.
+   * 
+   * @type {string|null}
+   */
+  const [locationError, setLocationError] = useState(null);
   
   /**
    * Application loading state
@@ -63,6 +110,28 @@ function App() {
    */
   const [loading, setLoading] = useState(true);
   
+  /**
+   * Weather is being fetched again (units or location changed) while the
+   * previous reading stays on screen
+   * 
+   * Unlike `loading`, this doesn't replace the app with the loading screen,
+   * so Playlists and Settings stay mounted and keep an unsaved playlist or
+   * an open settings panel.
+   * 
+   * @type {boolean}
+   */
+  const [refreshing, setRefreshing] = useState(false);
+  
+  /**
+   * Why the last in-place refetch failed (e.g. after a units change)
+   * 
+   * Shown as a small notice on the weather card while the previous reading
+   * stays on screen; cleared by the next successful fetch.
+   * 
+   * @type {string|null}
+   */
+  const [refreshError, setRefreshError] = useState(null);
+  
   /**
    * Application-wide error state
    * 
@@ -74,6 +143,17 @@ function App() {
    */
   const [error, setError] = useState(null);
   
+  /**
+   * When the weather service's rate limit ends (after a RateLimitError)
+   * 
+   * The retry button counts down to it instead of letting users hit the
+   * limit again straight away.
+   * 
+   * @type {number|null}
+   */
+  const [retryAt, setRetryAt] = useState(null);
+  const retrySeconds = useCountdown(retryAt);
+  
   /**
    * Current weather data from OpenWeatherMap API
    * 
@@ -86,18 +166,71 @@ function App() {
   const [weatherData, setWeatherData] = useState(null);
   
   /**
-   * User playlist generation preferences
+   * Latest weather reading for the background refresh to compare against
+   */
+  const weatherRef = useRef(null);
+  
+  /**
+   * Unit system the shown reading was fetched in
+   * 
+   * Usually the units setting, but after a failed refetch the previous
+   * reading (in the previous units) stays up and must be labelled as such.
+   */
+  const [weatherUnits, setWeatherUnits] = useState(null);
+  const weatherUnitsRef = useRef(null);
+  
+  /**
+   * Location the shown weather was fetched for, so a units change can tell
+   * itself apart from a location change, and a failed switch can go back
+   */
+  const weatherLocationRef = useRef(null);
+  
+  /**
+   * Condition change found by a background refresh, e.g. { from: 'Rain', to: 'Clear' }
    * 
-   * Configurable settings that control how playlists are generated including
-   * track count, explicit content filtering, and other user preferences.
-   * These settings are passed to the recommendation engine to customize output.
+   * Playlists shows it and offers to regenerate; cleared when dismissed or
+   * when the location or units change.
    * 
-   * @type {Object}
+   * @type {Object|null}
    */
-  const [playlistSettings, setPlaylistSettings] = useState({
-    playlistLength: 10,    // Number of tracks to generate
-    isExplicit: false      // Whether to include explicit content
-  });
+  const [weatherChange, setWeatherChange] = useState(null);
+  
+  /**
+   * 5-day / 3-hour forecast from OpenWeatherMap
+   * 
+   * Optional extra: the app works without it, the forecast strip is
+   * simply hidden when it fails to load.
+   * 
+   * @type {Object|null}
+   */
+  const [forecast, setForecast] = useState(null);
+  
+  /**
+   * Forecast block the user picked, or null for current conditions
+   * 
+   * @type {Object|null}
+   */
+  const [selectedBlock, setSelectedBlock] = useState(null);
+  
+  /**
+   * Weather the page is showing: the selected forecast block converted to the
+   * current-weather shape, or the current weather itself. Everything below
+   * (theme, background, weather card, playlists) uses this.
+   * 
+   * @type {Object|null}
+   */
+  const displayWeather = selectedBlock && forecast
+    ? forecastBlockToWeather(forecast, selectedBlock)
+    : weatherData;
+  
+  /**
+   * User preferences from the persisted settings store
+   * 
+   * Playlists and Settings read the store themselves; App only needs the
+   * units preference, which controls how weather is requested and displayed.
+   */
+  const [settings] = useSettings();
+  const units = settings.units;
 
   // ============================================================================
   // DYNAMIC THEMING SYSTEM INTEGRATION
@@ -112,24 +245,11 @@ function App() {
    * 
    * The theme system considers:
    * - Weather conditions (clear, rain, snow, clouds, etc.)
-   * - Time of day (day/night variations)
+   * - Solar phase at the location (sunrise/sunset aware)
    * - Seasonal factors
    * - Mood associations with weather patterns
    */
-  const currentTheme = useWeatherTheme(weatherData);
-
-  /**
-   * Update user playlist settings
-   * 
-   * Callback function for the Settings component to update user preferences.
-   * Maintains immutable state updates and triggers re-renders for dependent
-   * components like the Playlists component.
-   * 
-   * @param {Object} newSettings - Updated settings object
-   */
-  const updateSettings = (newSettings) => {
-    setPlaylistSettings(newSettings);
-  };
+  const currentTheme = useWeatherTheme(displayWeather);
 
   // ============================================================================
   // DYNAMIC THEME APPLICATION EFFECT
@@ -159,51 +279,85 @@ function App() {
   /**
    * Acquire user's geographic location using browser Geolocation API
    * 
-   * This effect runs once on application mount to obtain the user's coordinates.
+   * Runs once on application mount and again whenever the user picks
+   * "Use my location" in the LocationPicker.
    * Implements comprehensive error handling for various failure scenarios
-   * including permission denial, timeout, and unsupported browsers.
+   * including permission denial, timeout, and unsupported browsers: instead
+   * of a dead-end error, the user is offered city search and saved locations.
    * 
    * Configuration optimizes for accuracy while balancing performance:
    * - High accuracy GPS when available
    * - 10-second timeout to prevent hanging
    * - 10-minute cache to reduce repeated GPS queries
    */
-  useEffect(() => {
-    const getUserLocation = () => {
-      // Validate browser support for geolocation
-      if (!navigator.geolocation) {
-        setError('Geolocation is not supported by this browser');
+  const requestGeolocation = useCallback(() => {
+    // Validate browser support for geolocation
+    if (!navigator.geolocation) {
+      setLocationError('Geolocation is not supported by this browser. Search for a city instead.');
+      setLoading(false);
+      return;
+    }
+
+    // With weather already on screen, keep it (and the playlist) while locating
+    if (weatherRef.current) {
+      setRefreshing(true);
+    } else {
+      setLoading(true);
+    }
+    setLocationError(null);
+
+    navigator.geolocation.getCurrentPosition(
+      // Success callback - location acquired
+      (position) => {
+        const coords = {
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude
+        };
+        console.log('Location obtained:', coords);
+        setLocation(coords);
+      },
+      // Error callback - fall back to the location picker
+      (error) => {
+        console.error('Error getting location:', error);
+        setLocationError(error.code === error.PERMISSION_DENIED
+          ? 'Location access was denied. Search for a city or pick a saved location instead.'
+          : 'Failed to get your location. Search for a city or pick a saved location instead.');
         setLoading(false);
-        return;
+        setRefreshing(false);
+      },
+      // Geolocation options for optimal performance and accuracy
+      {
+        enableHighAccuracy: true,  // Use GPS when available for best accuracy
+        timeout: 10000,           // 10-second timeout to prevent hanging
+        maximumAge: 600000        // Cache location for 10 minutes
       }
+    );
+  }, []);
 
-      navigator.geolocation.getCurrentPosition(
-        // Success callback - location acquired
-        (position) => {
-          const coords = {
-            latitude: position.coords.latitude,
-            longitude: position.coords.longitude
-          };
-          console.log('Location obtained:', coords);
-          setLocation(coords);
-        },
-        // Error callback - handle various failure scenarios
-        (error) => {
-          console.error('Error getting location:', error);
-          setError('Failed to get your location. Please allow location access.');
-          setLoading(false);
-        },
-        // Geolocation options for optimal performance and accuracy
-        {
-          enableHighAccuracy: true,  // Use GPS when available for best accuracy
-          timeout: 10000,           // 10-second timeout to prevent hanging
-          maximumAge: 600000        // Cache location for 10 minutes
-        }
-      );
-    };
+  useEffect(() => {
+    // Back from a Spotify login: keep the location the user had
+    if (restoredView?.location) return;
+    requestGeolocation();
+  }, [requestGeolocation, restoredView]); // Stable values - runs once on mount
 
-    getUserLocation();
-  }, []); // Empty dependency array - run once on mount
+  /**
+   * Switch to a location chosen in the LocationPicker
+   * 
+   * Replacing the location state re-runs the weather fetch below, so the
+   * whole app updates without a page reload.
+   * 
+   * @param {Object} place - Search result or saved location
+   */
+  const selectLocation = (place) => {
+    setLocationError(null);
+    setLocation({
+      latitude: place.latitude,
+      longitude: place.longitude,
+      name: place.name,
+      state: place.state || null,
+      country: place.country || null
+    });
+  };
   
   // ============================================================================
   // WEATHER DATA FETCHING SYSTEM
@@ -212,40 +366,194 @@ function App() {
   /**
    * Fetch weather data when user location becomes available
    * 
-   * This effect responds to location changes by fetching current weather
-   * conditions from the OpenWeatherMap API. Implements proper error handling
+   * This effect responds to location and unit changes by fetching current weather
+   * conditions from the OpenWeatherMap API in the chosen unit system. Implements proper error handling
    * and loading state management for a smooth user experience.
    * 
+   * Only the first load shows the full-screen loader. Later fetches keep the
+   * current reading on screen (with `refreshing` set) and swap it when the
+   * new one arrives; a units change also keeps the selected forecast block.
+   * If such a refetch fails, the previous reading stays: a units change sets
+   * refreshError, a location switch goes back to the last location that
+   * loaded and explains in the picker (locationError). Only the first load
+   * can end on the full-screen error.
+   * 
+   * Switching quickly (location A → B) can leave A's request still running;
+   * the cleanup marks it superseded so its late response is dropped instead
+   * of overwriting B's weather.
+   * 
    * The weather data obtained here drives:
    * - Dynamic theming and visual design
    * - Music recommendation algorithms
    * - User interface mood and presentation
    */
   useEffect(() => {
+    let active = true;
+
     const fetchWeatherData = async () => {
       // Wait for location to be available
       if (!location) return;
 
+      const sameLocation = weatherLocationRef.current === location;
+
       try {
-        setLoading(true);
+        if (weatherRef.current) {
+          setRefreshing(true);
+        } else {
+          setLoading(true);
+        }
         setError(null);
+        setRetryAt(null);
+        setWeatherChange(null);
         
         // Fetch weather data using coordinates
-        const weather = await getWeather(location.latitude, location.longitude);
+        const weather = await getWeather(location.latitude, location.longitude, units);
+        if (!active) return;
         setWeatherData(weather);
+        setWeatherUnits(units);
+        weatherUnitsRef.current = units;
+        weatherLocationRef.current = location;
+        setRefreshError(null);
+        if (!sameLocation) setSelectedBlock(null);
         console.log('Weather data:', weather);
         
+        // The forecast is optional - a failure only hides the forecast strip
+        try {
+          const forecastData = await getForecast(location.latitude, location.longitude, units);
+          if (!active) return;
+          setForecast(forecastData);
+          
+          // Back from a Spotify login: reselect the block the user had picked, if it's still forecast
+          const selectedTime = pendingRestoreRef.current?.selectedTime;
+          if (selectedTime) {
+            setSelectedBlock(forecastData.list?.find(block => block.dt === selectedTime) || null);
+          } else if (sameLocation) {
+            // Units changed: the same block, now in the new units
+            setSelectedBlock(current => (current && forecastData.list?.find(block => block.dt === current.dt)) || null);
+          }
+        } catch (forecastError) {
+          console.error('Error fetching forecast:', forecastError);
+          if (active) setForecast(null);
+        }
+        
       } catch (err) {
         console.error('Error fetching weather:', err);
-        setError('Failed to fetch weather data');
+        if (!active) return;
+        
+        // With a reading on screen, never drop to the error screen: that would
+        // unmount Playlists and Settings (and lose an unsaved playlist)
+        if (weatherRef.current) {
+          if (sameLocation) {
+            // Units changed but the refetch failed: like the background refresh,
+            // keep the last reading and say so on the card
+            setRefreshError(describeWeatherError(err));
+          } else {
+            // A new location failed: go back to the one on screen and say why in the picker
+            setLocationError(`Couldn't load the weather for that location. ${describeWeatherError(err)}`);
+            setLocation(weatherLocationRef.current);
+          }
+          return;
+        }
+        
+        setError(describeWeatherError(err));
+        if (err instanceof RateLimitError) {
+          setRetryAt(Date.now() + err.retryAfter * 1000);
+        }
         setWeatherData(null);
       } finally {
-        setLoading(false);
+        // A superseded fetch leaves the flags to the one that replaced it
+        if (active) {
+          setLoading(false);
+          setRefreshing(false);
+        }
       }
     };
 
     fetchWeatherData();
-  }, [location]); // Re-run when location changes
+    return () => {
+      active = false;
+    };
+  }, [location, units]); // Re-run when location or units change
+
+  useEffect(() => {
+    weatherRef.current = weatherData;
+  }, [weatherData]);
+
+  /**
+   * Describe the view for loginReturn, so a Spotify login can come back to it
+   */
+  useEffect(() => {
+    rememberView({ location, selectedTime: selectedBlock?.dt ?? null });
+  }, [location, selectedBlock]);
+
+  /**
+   * Back from a Spotify login: scroll to where the user was once the page has rendered
+   */
+  useEffect(() => {
+    if (loading || !pendingRestoreRef.current) return;
+    window.scrollTo(0, pendingRestoreRef.current.scrollY || 0);
+    pendingRestoreRef.current = null;
+  }, [loading]);
+
+  /**
+   * Keep the weather current while the tab stays open
+   * 
+   * Every WEATHER_CACHE_TTL the reading is fetched again, and when the tab
+   * becomes visible it is refreshed if the cached reading has gone stale.
+   * Hidden tabs skip the interval. When the condition (e.g. Rain → Clear)
+   * changes, weatherChange is set so the user can regenerate their playlist.
+   * Failures keep the last reading on screen; the next refresh tries again.
+   */
+  useEffect(() => {
+    if (!location) return;
+    let active = true;
+
+    const refreshWeather = async (maxAge) => {
+      if (document.visibilityState === 'hidden') return;
+
+      try {
+        const weather = await getWeather(location.latitude, location.longitude, units, { maxAge });
+        const previous = weatherRef.current;
+        if (!active || (previous && weather.dt === previous.dt && weatherUnitsRef.current === units)) return;
+
+        const from = previous?.weather?.[0]?.main;
+        const to = weather.weather?.[0]?.main;
+        if (from && to && from !== to) {
+          console.log(`🌦️ Weather changed from ${from} to ${to}`);
+          setWeatherChange({ from, to });
+        }
+        setWeatherData(weather);
+        setWeatherUnits(units);
+        weatherUnitsRef.current = units;
+        setRefreshError(null);
+
+        try {
+          const freshForecast = await getForecast(location.latitude, location.longitude, units);
+          if (!active) return;
+          setForecast(freshForecast);
+          // Keep the selected block if it's still in the forecast
+          setSelectedBlock(current => (current && freshForecast.list?.find(block => block.dt === current.dt)) || null);
+        } catch (forecastError) {
+          console.error('Error refreshing forecast:', forecastError);
+        }
+      } catch (refreshError) {
+        console.error('Background weather refresh failed:', refreshError);
+      }
+    };
+
+    // The interval is the TTL, so each tick fetches a new reading
+    const timer = setInterval(() => refreshWeather(0), WEATHER_CACHE_TTL);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') refreshWeather(WEATHER_CACHE_TTL);
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      active = false;
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [location, units]);
 
   // ============================================================================
   // DYNAMIC BACKGROUND STYLING SYSTEM
@@ -260,27 +568,18 @@ function App() {
    * 
    * Considers:
    * - Current weather condition (clear, rain, snow, clouds, etc.)
-   * - Time of day for day/night variations
+   * - Solar phase at the location (dawn, day, golden hour, dusk, night)
    * - Seasonal and atmospheric factors
    * 
    * @returns {string} CSS class name for weather-specific styling
    */
   const getWeatherClass = () => {
     // Validate weather data availability
-    if (!weatherData || !weatherData.weather || !weatherData.weather[0]) return '';
-    
-    // Determine if it's currently day or night
-    const currentHour = new Date().getHours();
-    const isDay = currentHour >= 6 && currentHour < 18;
-    const weatherMain = weatherData.weather[0].main.toLowerCase();
+    if (!displayWeather || !displayWeather.weather || !displayWeather.weather[0]) return '';
     
-    // Special handling for clear weather with day/night variations
-    if (weatherMain === 'clear') {
-      return isDay ? 'weather-clear-day' : 'weather-clear-night';
-    }
-    
-    // Standard weather condition classes
-    return `weather-${weatherMain}`;
+    // The shared weather catalog resolves solar phase variants (from the location's
+    // sunrise/sunset) and unknown conditions
+    return getConditionEntry(displayWeather.weather[0].main, getSolarPhase(displayWeather)).backgroundClass;
   };
 
   // ============================================================================
@@ -304,6 +603,31 @@ function App() {
     );
   }
 
+  // ============================================================================
+  // LOCATION FALLBACK INTERFACE
+  // ============================================================================
+  
+  /**
+   * Render the location picker when there is no location yet
+   * 
+   * Happens when geolocation is denied, times out or isn't supported.
+   * Users can search for a city, pick a saved location or retry geolocation.
+   */
+  if (!location) {
+    return (
+      <div className="error-container">
+        <h2>Where's the weather?</h2>
+        <p>{locationError || 'Choose a location to get started.'}</p>
+        <LocationPicker
+          alwaysOpen
+          currentLocation={null}
+          onSelect={selectLocation}
+          onUseMyLocation={requestGeolocation}
+        />
+      </div>
+    );
+  }
+
   // ============================================================================
   // ERROR STATE INTERFACE
   // ============================================================================
@@ -311,24 +635,31 @@ function App() {
   /**
    * Render error interface with recovery options
    * 
-   * Displays user-friendly error messages with actionable recovery options.
-   * Provides a retry mechanism that resets application state and attempts
-   * to reload the entire initialization process.
+   * Displays user-friendly error messages with actionable recovery options:
+   * retry the same location (re-running the weather fetch without a page
+   * reload) or choose a different one. After a rate limit the retry button
+   * counts down until the limit is over.
    */
   if (error) {
     return (
       <div className="error-container">
         <h2>Oops! Something went wrong</h2>
         <p>{error}</p>
+        <LocationPicker
+          alwaysOpen
+          currentLocation={null}
+          onSelect={selectLocation}
+          onUseMyLocation={requestGeolocation}
+        />
         <button 
           onClick={() => {
-            setError(null);
-            setLoading(true);
-            window.location.reload();
+            // A new object re-triggers the weather fetch for the same coordinates
+            setLocation(current => ({ ...current }));
           }} 
           className="retry-btn"
+          disabled={retrySeconds > 0}
         >
-          Try Again
+          {retrySeconds > 0 ? `Try Again in ${retrySeconds}s` : 'Try Again'}
         </button>
       </div>
     );
@@ -396,13 +727,48 @@ function App() {
         </div>
       </div>
       
+      {/* ================================================================ */}
+      {/* LOCATION SECTION - Current location, city search, saved locations */}
+      {/* ================================================================ */}
+      <LocationPicker
+        currentLocation={{
+          latitude: location.latitude,
+          longitude: location.longitude,
+          name: location.name || weatherData.name,
+          state: location.state || null,
+          country: location.country || weatherData.sys?.country
+        }}
+        onSelect={selectLocation}
+        onUseMyLocation={requestGeolocation}
+        notice={locationError}
+      />
+      
       {/* ================================================================ */}
       {/* WEATHER SECTION - Dynamic weather display with theming */}
       {/* ================================================================ */}
-      <div className={`weather-section ${getWeatherClass()}`}>
+      <div className={`weather-section ${getWeatherClass()}${refreshing ? ' refreshing' : ''}`}>
         <div className="weather-background"></div>
-        <div className="weather-content">
-          <Weather weatherData={weatherData} />
+        <div className="weather-content" aria-busy={refreshing}>
+          {(refreshing || refreshError) && (
+            <div className="weather-status">
+              {refreshing && <div className="weather-refreshing">Updating weather...</div>}
+              {refreshError && !refreshing && (
+                <div className="weather-refresh-error" role="alert">
+                  Couldn't update the weather: {refreshError}
+                  <button onClick={() => setRefreshError(null)} aria-label="Dismiss">×</button>
+                </div>
+              )}
+            </div>
+          )}
+          <div className="weather-layout">
+            <Weather weatherData={displayWeather} units={weatherUnits || units} />
+            <ForecastStrip
+              forecast={forecast}
+              units={weatherUnits || units}
+              selectedTime={selectedBlock?.dt ?? null}
+              onSelect={setSelectedBlock}
+            />
+          </div>
         </div>
       </div>
       
@@ -412,18 +778,16 @@ function App() {
       <div className="bottom-section">
         {/* Music generation and playlist management */}
         <div className="playlist-section">
-          <Playlists 
-            weatherData={weatherData}
-            playlistSettings={playlistSettings}
+          <Playlists
+            weatherData={displayWeather}
+            weatherChange={weatherChange}
+            onDismissWeatherChange={() => setWeatherChange(null)}
           />
         </div>
         
         {/* User preferences and customization */}
         <div className="settings-section">
-          <Settings 
-            settings={playlistSettings}
-            onSettingsChange={updateSettings}
-          />
+          <Settings />
         </div>
       </div>
     </div>
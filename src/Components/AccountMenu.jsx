@@ -0,0 +1,212 @@
+/**
+ * AccountMenu Component - Connected Spotify Account
+ *
+ * Replaces the plain "Connected" button once the user is signed in: shows
+ * who is connected and opens a menu with the account details, the
+ * permissions they granted, links to their WeatherBeats playlists and a
+ * logout that has to be confirmed.
+ *
+ * Key Features:
+ * - Avatar (or initial), display name, country and Free/Premium tier
+ * - Granted scopes described in plain words (see SCOPE_DESCRIPTIONS)
+ * - The rolling and other WeatherBeats playlists (findWeatherBeatsPlaylists),
+ *   loaded each time the menu opens so new saves show up
+ * - Logout behind a confirmation step, so a stray click doesn't sign out
+ * - Closes on Escape or a click outside
+ *
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { ChevronDown, ExternalLink, LogOut } from 'lucide-react';
+import '../CSS/AccountMenu.css';
+import { SCOPE_DESCRIPTIONS } from '../services/appConfig';
+import { getMarketName } from '../services/markets';
+import { ROLLING_PLAYLIST_NAME } from '../services/api';
+
+/**
+ * Spotify's list of all the signed-in user's playlists, linked when no
+ * WeatherBeats playlist was found
+ */
+const PLAYLISTS_URL = 'https://open.spotify.com/collection/playlists';
+
+/**
+ * @param {string} product - Profile product ('premium', 'free', 'open')
+ * @returns {string|null} Tier label
+ */
+const getTierLabel = (product) => {
+    if (!product) return null;
+    if (product === 'premium') return 'Premium';
+    if (product === 'free' || product === 'open') return 'Free';
+    return product.charAt(0).toUpperCase() + product.slice(1);
+};
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.profile - /me profile (null while loading or when it couldn't load)
+ * @param {Array<string>} props.grantedScopes - Scopes the user granted
+ * @param {Function} props.loadPlaylists - Called with { signal }; resolves to the user's WeatherBeats playlists
+ * @param {Function} props.onLogout - Called once logout is confirmed
+ */
+function AccountMenu({ profile, grantedScopes, loadPlaylists, onLogout }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    /**
+     * WeatherBeats playlists, rolling one first (null while loading)
+     */
+    const [playlists, setPlaylists] = useState(null);
+
+    /**
+     * Whether the logout confirmation is showing
+     */
+    const [confirmingLogout, setConfirmingLogout] = useState(false);
+
+    const menuRef = useRef(null);
+
+    /**
+     * Close on Escape or a click outside the menu
+     */
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handlePointer = (event) => {
+            if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+        };
+        const handleKey = (event) => {
+            if (event.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('mousedown', handlePointer);
+        document.addEventListener('keydown', handleKey);
+        return () => {
+            document.removeEventListener('mousedown', handlePointer);
+            document.removeEventListener('keydown', handleKey);
+        };
+    }, [isOpen]);
+
+    /**
+     * Load the WeatherBeats playlists whenever the menu opens
+     */
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const controller = new AbortController();
+        loadPlaylists({ signal: controller.signal })
+            .then(found => setPlaylists([
+                ...found.filter(playlist => playlist.name === ROLLING_PLAYLIST_NAME),
+                ...found.filter(playlist => playlist.name !== ROLLING_PLAYLIST_NAME)
+            ]))
+            .catch(error => {
+                if (error.name === 'AbortError') return;
+                console.warn('Could not load WeatherBeats playlists:', error.message);
+                setPlaylists([]);
+            });
+        return () => controller.abort();
+    }, [isOpen, loadPlaylists]);
+
+    const toggleMenu = () => {
+        setIsOpen(open => !open);
+        setConfirmingLogout(false);
+    };
+
+    const name = profile?.display_name || profile?.id || 'Spotify account';
+    const avatarUrl = profile?.images?.[0]?.url;
+    const details = [profile?.country && getMarketName(profile.country), getTierLabel(profile?.product)].filter(Boolean).join(' · ');
+
+    const avatar = (size) => avatarUrl
+        ? <img className="account-avatar" src={avatarUrl} alt="" width={size} height={size} />
+        : <span className="account-avatar initial" style={{ width: size, height: size }}>{name.charAt(0).toUpperCase()}</span>;
+
+    return (
+        <div className="account-menu" ref={menuRef}>
+            <button
+                className="btn-connected account-button"
+                onClick={toggleMenu}
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+            >
+                {profile ? avatar(28) : '✅'}
+                <span className="account-name">{profile ? name : 'Connected to Spotify!'}</span>
+                <ChevronDown size={16} className={isOpen ? 'open' : ''} />
+            </button>
+
+            {isOpen && (
+                <div className="account-dropdown" role="menu">
+                    {profile && (
+                        <div className="account-summary">
+                            {avatar(48)}
+                            <div>
+                                <strong>{name}</strong>
+                                {details && <span>{details}</span>}
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="account-section">
+                        <h4>Permissions granted</h4>
+                        {grantedScopes.length > 0 ? (
+                            <ul className="account-scopes">
+                                {grantedScopes.map(scope => (
+                                    <li key={scope} title={scope}>{SCOPE_DESCRIPTIONS[scope] || scope}</li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <p className="account-muted">Spotify didn't report the granted permissions.</p>
+                        )}
+                    </div>
+
+                    <div className="account-section">
+                        <h4>Your WeatherBeats playlists</h4>
+                        {playlists === null ? (
+                            <p className="account-muted">Loading...</p>
+                        ) : playlists.length > 0 ? (
+                            <ul className="account-playlists">
+                                {playlists.map(playlist => (
+                                    <li key={playlist.id}>
+                                        <a
+                                            className="account-item"
+                                            href={playlist.external_urls?.spotify || `https://open.spotify.com/playlist/${playlist.id}`}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            role="menuitem"
+                                        >
+                                            <ExternalLink size={16} />
+                                            <span>
+                                                {playlist.name}
+                                                {playlist.tracks?.total != null && <small>{playlist.tracks.total} tracks</small>}
+                                            </span>
+                                        </a>
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <a className="account-item" href={PLAYLISTS_URL} target="_blank" rel="noopener noreferrer" role="menuitem">
+                                <ExternalLink size={16} />
+                                <span>
+                                    Your playlists on Spotify
+                                    <small>No WeatherBeats playlists yet - save one to see it here</small>
+                                </span>
+                            </a>
+                        )}
+                    </div>
+
+                    {confirmingLogout ? (
+                        <div className="logout-confirm">
+                            <p>Log out of Spotify in WeatherBeats? Open tabs are signed out too.</p>
+                            <div>
+                                <button className="logout-confirm-yes" onClick={onLogout}>Log out</button>
+                                <button onClick={() => setConfirmingLogout(false)}>Cancel</button>
+                            </div>
+                        </div>
+                    ) : (
+                        <button className="account-item" onClick={() => setConfirmingLogout(true)} role="menuitem">
+                            <LogOut size={16} />
+                            <span>Log out</span>
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default AccountMenu;
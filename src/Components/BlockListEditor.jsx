@@ -0,0 +1,94 @@
+/**
+ * BlockListEditor Component - Editable List of Blocked Terms
+ *
+ * Small tag editor used by Settings for blocked artists, genres and title
+ * keywords. Terms are added with Enter or the add button and removed with
+ * their X button.
+ *
+ * Duplicate detection is case-insensitive; the settings store trims and
+ * de-duplicates again when saving. Once a list holds maxItems terms (the
+ * settings schema's limit, which the store rejects past) the input is
+ * disabled until a term is removed.
+ *
+ */
+
+import { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+
+/**
+ * @param {Object} props
+ * @param {string} props.label - Heading shown above the list
+ * @param {Array<string>} props.items - Current terms
+ * @param {Function} props.onChange - Called with the new list of terms
+ * @param {string} props.placeholder - Input placeholder
+ * @param {number} props.maxItems - Most terms the list may hold
+ */
+function BlockListEditor({ label, items, onChange, placeholder, maxItems = Infinity }) {
+    /**
+     * Term being typed
+     */
+    const [draft, setDraft] = useState('');
+
+    const isFull = items.length >= maxItems;
+
+    /**
+     * Add the typed term unless it is empty or already listed
+     *
+     * @param {Event} event - Form submit event
+     */
+    const addTerm = (event) => {
+        event.preventDefault();
+        const term = draft.trim();
+        if (!term || isFull) return;
+
+        if (!items.some(item => item.toLowerCase() === term.toLowerCase())) {
+            onChange([...items, term]);
+        }
+        setDraft('');
+    };
+
+    return (
+        <div className='blocklist'>
+            <span className='playlist-label'>{label}</span>
+
+            <form className='blocklist-input' onSubmit={addTerm}>
+                <input
+                    type='text'
+                    value={draft}
+                    onChange={(event) => setDraft(event.target.value)}
+                    placeholder={isFull ? 'Limit reached' : placeholder}
+                    aria-label={label}
+                    disabled={isFull}
+                />
+                <button type='submit' className='blocklist-add' disabled={!draft.trim() || isFull} title={`Add to ${label.toLowerCase()}`}>
+                    <Plus size={16} />
+                </button>
+            </form>
+
+            {isFull && (
+                <small className='blocklist-limit'>
+                    Limit of {maxItems} reached - remove a term to add another
+                </small>
+            )}
+
+            {items.length > 0 && (
+                <ul className='blocklist-items'>
+                    {items.map(item => (
+                        <li key={item} className='blocklist-item'>
+                            {item}
+                            <button
+                                className='blocklist-remove'
+                                onClick={() => onChange(items.filter(existing => existing !== item))}
+                                title={`Remove ${item}`}
+                            >
+                                <X size={12} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default BlockListEditor;
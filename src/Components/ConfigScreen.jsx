@@ -0,0 +1,65 @@
+/**
+ * ConfigScreen Component - Startup Configuration Check
+ *
+ * Shown by main.jsx instead of the app when the environment configuration
+ * (see services/appConfig.js) has errors, so a broken deploy or a fresh
+ * checkout explains exactly what to set rather than failing later with a
+ * vague message.
+ *
+ * Key Features:
+ * - Active profile and redirect URI, for matching against the Spotify dashboard
+ * - Every problem with the variable to change and how to fix it
+ * - Warnings listed after errors
+ *
+ */
+
+import { AlertTriangle, XCircle } from 'lucide-react';
+import '../CSS/ConfigScreen.css';
+import { CONFIG_PROFILES } from '../services/appConfig';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.config - Resolved configuration (appConfig)
+ * @param {Array<Object>} props.problems - validateConfig problems
+ */
+function ConfigScreen({ config, problems }) {
+    const errors = problems.filter(problem => problem.severity === 'error');
+    const warnings = problems.filter(problem => problem.severity === 'warning');
+    const profileLabel = CONFIG_PROFILES[config.profile]?.label || config.profile;
+
+    const renderProblem = (problem) => (
+        <li key={`${problem.variable}-${problem.message}`} className={`config-problem ${problem.severity}`}>
+            {problem.severity === 'error' ? <XCircle size={18} /> : <AlertTriangle size={18} />}
+            <div>
+                <code>{problem.variable}</code>
+                <p>{problem.message}</p>
+                <p className="config-fix">{problem.fix}</p>
+            </div>
+        </li>
+    );
+
+    return (
+        <div className="config-screen">
+            <h2>WeatherBeats isn't configured yet</h2>
+            <p className="config-intro">
+                {errors.length === 1 ? 'One setting needs' : `${errors.length} settings need`} attention
+                before the app can start. Set them in <code>.env</code> for local development, or in the
+                site's environment variables on Netlify, then rebuild.
+            </p>
+
+            <dl className="config-summary">
+                <dt>Profile</dt>
+                <dd>{profileLabel}</dd>
+                <dt>Redirect URI</dt>
+                <dd><code>{config.spotify.redirectUri}</code></dd>
+            </dl>
+
+            <ul className="config-problems">
+                {errors.map(renderProblem)}
+                {warnings.map(renderProblem)}
+            </ul>
+        </div>
+    );
+}
+
+export default ConfigScreen;
@@ -0,0 +1,82 @@
+/**
+ * ForecastStrip Component - 5-Day / 3-Hour Forecast Picker
+ *
+ * Lists the upcoming forecast blocks beside the weather card so users can
+ * plan ahead, e.g. build tomorrow morning's commute playlist the night before.
+ *
+ * Key Features:
+ * - "Now" entry to return to current conditions
+ * - Blocks grouped by the location's local day
+ * - Catalog weather icon and temperature for every block
+ * - Selected block highlighted; picking one themes the page and retargets playlists
+ *
+ * Integration:
+ * - App fetches the forecast with getForecast and owns the selected block
+ * - The selected block is converted with forecastBlockToWeather before use
+ *
+ */
+
+import { Clock } from 'lucide-react';
+import WeatherIcon from './WeatherIcon';
+import '../CSS/ForecastStrip.css';
+import { forecastBlockToWeather, formatForecastHour, groupForecastByDay } from '../services/forecast';
+import { formatTemperature } from '../services/units';
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.forecast - getForecast response (strip is hidden without one)
+ * @param {string} props.units - Unit system the forecast was requested in
+ * @param {number|null} props.selectedTime - dt of the selected block, or null for current weather
+ * @param {Function} props.onSelect - Called with a forecast block, or null for "Now"
+ */
+function ForecastStrip({ forecast, units, selectedTime, onSelect }) {
+    // Nothing to show until the forecast has loaded
+    if (!forecast || !forecast.list || forecast.list.length === 0) {
+        return null;
+    }
+
+    const days = groupForecastByDay(forecast);
+    const timezoneOffset = forecast.city?.timezone || 0;
+
+    return (
+        <div className="forecast-strip">
+            <div className="forecast-header">
+                <h3>Forecast</h3>
+                <button
+                    className={`forecast-now ${selectedTime ? '' : 'selected'}`}
+                    onClick={() => onSelect(null)}
+                >
+                    <Clock size={14} />
+                    Now
+                </button>
+            </div>
+
+            {/* One row of blocks per local day */}
+            <div className="forecast-days">
+                {days.map(({ day, blocks }) => (
+                    <div key={day} className="forecast-day">
+                        <span className="forecast-day-label">{day}</span>
+                        <div className="forecast-blocks">
+                            {blocks.map(block => (
+                                <button
+                                    key={block.dt}
+                                    className={`forecast-block ${block.dt === selectedTime ? 'selected' : ''}`}
+                                    onClick={() => onSelect(block)}
+                                    title={block.weather?.[0]?.description}
+                                >
+                                    <span className="forecast-hour">{formatForecastHour(block.dt, timezoneOffset)}</span>
+                                    <span className="forecast-icon">
+                                        <WeatherIcon weatherData={forecastBlockToWeather(forecast, block)} size={20} />
+                                    </span>
+                                    <span className="forecast-temp">{formatTemperature(block.main.temp, units)}</span>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default ForecastStrip;
@@ -8,22 +8,36 @@
  * Key Features:
  * - OAuth 2.0 with PKCE authentication flow
  * - Visual connection status indicators
- * - Automatic callback handling after Spotify authorization
- * - Error handling for authentication failures
- * - Session persistence across page reloads
+ * - Connected account (avatar, name, country, tier) with an account menu:
+ *   granted permissions, playlists link and confirmed logout (AccountMenu)
+ * - Automatic callback handling after Spotify authorization, with the OAuth
+ *   state checked and replayed or expired callbacks rejected
+ * - Error messages for denied consent and failed logins
+ * - Session persistence across page reloads, and optionally across browser
+ *   sessions ("Stay signed in", see services/tokenStore.js)
+ * - Signing in or out in one tab updates every open tab
+ * - Returning users to the view they left (see services/loginReturn.js)
  * 
  * Authentication Flow:
- * 1. User clicks "Connect to Spotify" button
+ * 1. User clicks "Connect to Spotify" button; the current view is saved
  * 2. Redirected to Spotify authorization page
- * 3. User grants permissions and returns to app
- * 4. Component exchanges authorization code for access token
+ * 3. User grants permissions and returns to app (at the saved view)
+ * 4. Component verifies the callback and exchanges the code for an access token
  * 5. Tokens are stored for future API calls
  * 
+ * With "Stay signed in" ticked, a later visit restores the login from the
+ * encrypted refresh token kept on the device instead of showing step 1.
+ * 
  */
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
+import { X } from 'lucide-react';
+import AccountMenu from './AccountMenu';
 import '../CSS/Header.css';
 import { SpotifyAuth } from "../services/api";
+import { ConsentDeniedError } from "../services/errors";
+import { getRestoredView, saveViewForLogin } from "../services/loginReturn";
+import { subscribeToTokens, canStaySignedIn, isStaySignedIn, setStaySignedIn } from "../services/tokenStore";
 
 function Header() {
     // ========================================================================
@@ -48,6 +62,24 @@ function Header() {
      * Prevents multiple simultaneous auth attempts and shows loading state
      */
     const [isConnecting, setIsConnecting] = useState(false);
+    
+    /**
+     * Why the last login didn't complete (denied consent, rejected callback...)
+     * Shown under the button until dismissed or the next attempt
+     * { message, denied } or null
+     */
+    const [authError, setAuthError] = useState(null);
+    
+    /**
+     * Whether the login is kept after the browser closes (opt-in, per device)
+     */
+    const [staySignedIn, setStaySignedInState] = useState(isStaySignedIn);
+    
+    /**
+     * Signed-in user's Spotify profile for the account menu
+     * null while signed out, loading, or when it couldn't be loaded
+     */
+    const [profile, setProfile] = useState(null);
 
     // ========================================================================
     // AUTHENTICATION STATE INITIALIZATION & CALLBACK HANDLING
@@ -56,46 +88,76 @@ function Header() {
     /**
      * Initialize authentication state and handle OAuth callbacks
      * This effect runs once on component mount to:
-     * 1. Check if user is already logged in (from previous session)
-     * 2. Handle OAuth callback from Spotify authorization page
-     * 3. Exchange authorization code for access tokens
-     * 4. Clean up URL parameters after successful authentication
+     * 1. Check if user is already logged in (from previous session), or
+     *    restore a "stay signed in" login
+     * 2. Handle OAuth callback from Spotify authorization page (state check,
+     *    replay/expiry detection and code exchange happen in handleAuthCallback)
+     * 3. Clean up URL parameters, whatever the outcome, and return to the
+     *    path the user left from
      */
     useEffect(() => {
         // Check if user is already logged in from previous session
         setIsLoggedIn(spotifyAuth.isLoggedIn());
 
-        // Handle OAuth callback from Spotify authorization page
-        // When user grants permission, Spotify redirects back with URL parameters
+        // Spotify redirects back with ?code=...&state=... or ?error=...&state=...
         const urlParams = new URLSearchParams(window.location.search);
-        const code = urlParams.get('code');        // Authorization code for token exchange
-        const error = urlParams.get('error');      // Error if user denied permission
+        if (!urlParams.has('code') && !urlParams.has('error')) {
+            if (!spotifyAuth.isLoggedIn() && spotifyAuth.canRestoreSession()) {
+                setIsConnecting(true);
+                spotifyAuth.restoreSession()
+                    .then(restored => setIsLoggedIn(restored))
+                    .catch(error => console.error('❌ Could not restore the Spotify login:', error))
+                    .finally(() => setIsConnecting(false));
+            }
+            return;
+        }
+        
+        const cleanUrl = () => {
+            // Drop the callback parameters so a reload doesn't replay them
+            window.history.replaceState({}, document.title, getRestoredView()?.path || window.location.pathname);
+        };
+        
+        console.log('🔑 Spotify callback received, verifying...');
+        setIsConnecting(true);
         
-        // Handle authorization errors (user denied permission, etc.)
-        if (error) {
-            console.error('❌ Spotify authorization error:', error);
+        spotifyAuth.handleAuthCallback(window.location.search).then(() => {
+            console.log('✅ Successfully authenticated with Spotify');
+            setIsLoggedIn(true);
+            setAuthError(null);
+        }).catch(error => {
+            console.error('❌ Authentication failed:', error);
+            setIsLoggedIn(spotifyAuth.isLoggedIn());
+            // Declining is the user's choice, not a failure - it gets a calmer style
+            setAuthError({ message: error.message, denied: error instanceof ConsentDeniedError });
+        }).finally(() => {
             setIsConnecting(false);
+            cleanUrl();
+        });
+    }, [spotifyAuth]);
+
+    /**
+     * Follow sign-ins, refreshes and sign-outs from other components and tabs
+     */
+    useEffect(() => subscribeToTokens(tokens => setIsLoggedIn(Boolean(tokens))), []);
+
+    /**
+     * Load the account shown in the menu whenever a user signs in
+     * Without it the menu still works, with a generic label
+     */
+    useEffect(() => {
+        if (!isLoggedIn) {
+            setProfile(null);
             return;
         }
-        
-        // Process successful authorization callback
-        if (code) {
-            console.log('🔑 Authorization code received, exchanging for token...');
-            setIsConnecting(true);
-            
-            // Exchange authorization code for access token
-            spotifyAuth.getAccessToken(code).then(() => {
-                console.log('✅ Successfully authenticated with Spotify');
-                setIsLoggedIn(true);
-                setIsConnecting(false);
-                // Clean up URL parameters to prevent reprocessing on refresh
-                window.history.replaceState({}, document.title, window.location.pathname);
-            }).catch(error => {
-                console.error('❌ Authentication failed:', error);
-                setIsConnecting(false);
+
+        const controller = new AbortController();
+        spotifyAuth.getUserProfile({ signal: controller.signal })
+            .then(setProfile)
+            .catch(error => {
+                if (error.name !== 'AbortError') console.warn('Could not load the Spotify profile:', error.message);
             });
-        }
-    }, [spotifyAuth]);
+        return () => controller.abort();
+    }, [isLoggedIn, spotifyAuth]);
 
     // ========================================================================
     // AUTHENTICATION EVENT HANDLERS
@@ -109,7 +171,10 @@ function Header() {
     const handleLogin = async () => {
         try {
             setIsConnecting(true);
+            setAuthError(null);
             console.log('🚀 Starting Spotify authorization...');
+            // Come back to this view (location, forecast, unsaved playlist) afterwards
+            saveViewForLogin();
             // This will redirect the page to Spotify's authorization server
             await spotifyAuth.authorize();
         } catch (error) {
@@ -118,9 +183,19 @@ function Header() {
         }
     };
 
+    /**
+     * WeatherBeats playlists for the account menu's links
+     * Stable so the menu only reloads them when it opens
+     */
+    const loadWeatherBeatsPlaylists = useCallback(
+        (options) => spotifyAuth.findWeatherBeatsPlaylists(options),
+        [spotifyAuth]
+    );
+
     /**
      * Log out user and clear all authentication tokens
-     * Resets component state and clears stored tokens from memory/localStorage
+     * Called by AccountMenu once the user confirms
+     * Resets component state and clears stored tokens in this and every other tab
      */
     const handleLogout = () => {
         console.log('👋 Logging out from Spotify...');
@@ -129,6 +204,15 @@ function Header() {
         setIsConnecting(false);
     };
 
+    /**
+     * Opt in or out of staying signed in
+     * Applies straight away when already connected (see setStaySignedIn)
+     */
+    const handleStaySignedInChange = (event) => {
+        setStaySignedInState(event.target.checked);
+        setStaySignedIn(event.target.checked);
+    };
+
     // ========================================================================
     // RENDER LOGIC - DIFFERENT STATES
     // ========================================================================
@@ -152,7 +236,7 @@ function Header() {
      * Main render - shows appropriate button based on authentication status
      * 
      * Two states:
-     * 1. Connected: Green button with logout functionality
+     * 1. Connected: Green account button opening the account menu (logout lives there)
      * 2. Disconnected: Dark button with login functionality
      * 
      * Button styling changes based on state to provide clear visual feedback
@@ -160,14 +244,34 @@ function Header() {
     return (
         <div className="btn-container">
             {isLoggedIn ? (
-                <button onClick={handleLogout} className="btn-connected">
-                    ✅ Connected to Spotify!
-                </button>
+                <AccountMenu
+                    profile={profile}
+                    grantedScopes={spotifyAuth.getGrantedScopes()}
+                    loadPlaylists={loadWeatherBeatsPlaylists}
+                    onLogout={handleLogout}
+                />
             ) : (
                 <button onClick={handleLogin} className="btn-disconnected">
                     🎵 Connect to Spotify
                 </button>
             )}
+            
+            {canStaySignedIn() && (
+                <label className="stay-signed-in">
+                    <input type="checkbox" checked={staySignedIn} onChange={handleStaySignedInChange} />
+                    Stay signed in on this device
+                </label>
+            )}
+            
+            {/* Why the last login didn't complete */}
+            {authError && (
+                <div className={`auth-error ${authError.denied ? 'denied' : ''}`} role="alert">
+                    <span>{authError.message}</span>
+                    <button onClick={() => setAuthError(null)} title="Dismiss">
+                        <X size={14} />
+                    </button>
+                </div>
+            )}
         </div>
     );
 }
@@ -0,0 +1,223 @@
+/**
+ * LocationPicker Component - City Search and Saved Locations
+ *
+ * Lets users choose where the weather (and therefore the music) comes from
+ * without relying on browser geolocation.
+ *
+ * Key Features:
+ * - City search through OpenWeatherMap geocoding
+ * - Saved locations persisted in localStorage
+ * - Switching locations without a page reload
+ * - "Use my location" to go back to geolocation
+ *
+ * Two modes:
+ * - Inline bar (default): shows the current location with a "Change" toggle
+ * - Always open (alwaysOpen): used as the fallback screen when geolocation
+ *   fails or is denied, so users are never stuck on a dead-end error
+ *
+ */
+
+import { useState } from 'react';
+import { MapPin, Search, Star, X, LocateFixed, Loader } from 'lucide-react';
+import '../CSS/LocationPicker.css';
+import { searchCities } from '../services/api';
+import { getSavedLocations, saveLocation, removeSavedLocation, getLocationId, formatLocationName } from '../services/savedLocations';
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.currentLocation - Location being shown (name, state, country, latitude, longitude)
+ * @param {Function} props.onSelect - Called with the chosen location
+ * @param {Function} props.onUseMyLocation - Called when the user asks for geolocation again (optional)
+ * @param {boolean} props.alwaysOpen - Show search and saved locations without the toggle bar
+ * @param {string|null} props.notice - Message to show above the bar (e.g. a geolocation failure)
+ */
+function LocationPicker({ currentLocation, onSelect, onUseMyLocation, alwaysOpen = false, notice = null }) {
+    // ========================================================================
+    // STATE MANAGEMENT
+    // ========================================================================
+
+    /**
+     * Whether the search panel is expanded (always true in alwaysOpen mode)
+     */
+    const [open, setOpen] = useState(alwaysOpen);
+
+    /**
+     * City search input, results and request state
+     */
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [searching, setSearching] = useState(false);
+    const [searchError, setSearchError] = useState(null);
+
+    /**
+     * Saved locations mirrored from localStorage
+     */
+    const [savedLocations, setSavedLocations] = useState(getSavedLocations);
+
+    const savedIds = new Set(savedLocations.map(location => location.id));
+    const currentSaved = currentLocation && savedIds.has(getLocationId(currentLocation.latitude, currentLocation.longitude));
+
+    // ========================================================================
+    // EVENT HANDLERS
+    // ========================================================================
+
+    /**
+     * Search cities matching the input
+     *
+     * @param {Event} event - Form submit event
+     */
+    const handleSearch = async (event) => {
+        event.preventDefault();
+        const trimmed = query.trim();
+        if (!trimmed) return;
+
+        setSearching(true);
+        setSearchError(null);
+
+        try {
+            const matches = await searchCities(trimmed);
+            setResults(matches);
+            if (matches.length === 0) {
+                setSearchError(`No cities found for "${trimmed}"`);
+            }
+        } catch (error) {
+            setResults([]);
+            setSearchError(error.message);
+        } finally {
+            setSearching(false);
+        }
+    };
+
+    /**
+     * Switch to a location and collapse the panel
+     *
+     * @param {Object} location - Search result or saved location
+     */
+    const handleSelect = (location) => {
+        onSelect(location);
+        setResults([]);
+        setQuery('');
+        if (!alwaysOpen) setOpen(false);
+    };
+
+    /**
+     * Save a location, or remove it if it is already saved
+     *
+     * @param {Object} location - Location to toggle
+     */
+    const toggleSaved = (location) => {
+        const id = getLocationId(location.latitude, location.longitude);
+        setSavedLocations(savedIds.has(id) ? removeSavedLocation(id) : saveLocation(location));
+    };
+
+    // ========================================================================
+    // COMPONENT RENDER
+    // ========================================================================
+
+    return (
+        <div className={`location-picker ${alwaysOpen ? 'always-open' : ''}`}>
+            {notice && <p className="location-notice">{notice}</p>}
+
+            {/* Current location bar with save and change controls */}
+            {!alwaysOpen && currentLocation && (
+                <div className="location-bar">
+                    <span className="location-current">
+                        <MapPin size={16} />
+                        {formatLocationName(currentLocation)}
+                    </span>
+                    <div className="location-bar-actions">
+                        <button
+                            className={`location-icon-btn ${currentSaved ? 'saved' : ''}`}
+                            onClick={() => toggleSaved(currentLocation)}
+                            title={currentSaved ? 'Remove from saved locations' : 'Save this location'}
+                        >
+                            <Star size={16} />
+                        </button>
+                        <button className="location-change-btn" onClick={() => setOpen(!open)}>
+                            {open ? 'Close' : 'Change'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {open && (
+                <div className="location-panel">
+                    {/* City search */}
+                    <form className="location-search" onSubmit={handleSearch}>
+                        <input
+                            type="text"
+                            value={query}
+                            onChange={(event) => setQuery(event.target.value)}
+                            placeholder="Search for a city (e.g. Paris, FR)"
+                            aria-label="City name"
+                        />
+                        <button type="submit" className="location-search-btn" disabled={searching || !query.trim()}>
+                            {searching ? <Loader size={16} className="spinning" /> : <Search size={16} />}
+                        </button>
+                    </form>
+
+                    {searchError && <p className="location-error">{searchError}</p>}
+
+                    {/* Search results */}
+                    {results.length > 0 && (
+                        <ul className="location-list">
+                            {results.map(result => {
+                                const id = getLocationId(result.latitude, result.longitude);
+                                return (
+                                    <li key={id} className="location-item">
+                                        <button className="location-select" onClick={() => handleSelect(result)}>
+                                            {formatLocationName(result)}
+                                        </button>
+                                        <button
+                                            className={`location-icon-btn ${savedIds.has(id) ? 'saved' : ''}`}
+                                            onClick={() => toggleSaved(result)}
+                                            title={savedIds.has(id) ? 'Remove from saved locations' : 'Save this location'}
+                                        >
+                                            <Star size={16} />
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+
+                    {/* Saved locations */}
+                    {savedLocations.length > 0 && (
+                        <div className="location-saved">
+                            <h4>Saved locations</h4>
+                            <ul className="location-list">
+                                {savedLocations.map(saved => (
+                                    <li key={saved.id} className="location-item">
+                                        <button className="location-select" onClick={() => handleSelect(saved)}>
+                                            {formatLocationName(saved)}
+                                        </button>
+                                        <button
+                                            className="location-icon-btn"
+                                            onClick={() => setSavedLocations(removeSavedLocation(saved.id))}
+                                            title="Remove from saved locations"
+                                        >
+                                            <X size={16} />
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    {/* Back to browser geolocation */}
+                    {onUseMyLocation && (
+                        <button className="location-geolocate-btn" onClick={() => {
+                            onUseMyLocation();
+                            if (!alwaysOpen) setOpen(false);
+                        }}>
+                            <LocateFixed size={16} />
+                            Use my location
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default LocationPicker;
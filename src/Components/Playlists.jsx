@@ -12,8 +12,16 @@
  * - Regional content optimization for global accessibility
  * - Paginated track display with rich metadata
  * - Direct Spotify integration for playlist creation and playback
+ * - Saving as a new playlist, into a rolling "WeatherBeats – Today" playlist,
+ *   or into an earlier WeatherBeats playlist (replacing or appending tracks)
  * - User preference handling (explicit content filtering, playlist length)
- * - Comprehensive error handling and user feedback
+ * - Comprehensive error handling and user feedback, driven by typed errors
+ * - Live countdown while Spotify's rate limit is in effect
+ * - Live progress bar with the tracks found so far while generating
+ * - Notice (with a regenerate shortcut) when a background refresh finds the
+ *   weather condition has changed
+ * - Cancellable generation: a newer request, a forecast change or leaving the
+ *   view aborts the old one, so stale results never overwrite newer ones
  * 
  * Technical Implementation:
  * - Uses sophisticated search algorithms instead of basic recommendation APIs
@@ -29,12 +37,35 @@
  * 
  */
 
-import { useState, useEffect } from "react";
-import { Shuffle, Music, Loader, ExternalLink, Info, AlertTriangle, RefreshCw } from 'lucide-react';
-import { SpotifyAuth } from "../services/api";
+import { useState, useEffect, useRef } from "react";
+import { Shuffle, Music, Loader, ExternalLink, Info, AlertTriangle, RefreshCw, X } from 'lucide-react';
+import { SpotifyAuth, ROLLING_PLAYLIST_NAME } from "../services/api";
+import { formatForecastTime } from "../services/forecast";
+import { useSettings } from "../services/settingsStore";
+import { RateLimitError, AuthError, RegionError, ConfigError, NetworkError, NoResultsError } from "../services/errors";
+import { useCountdown } from "../services/useCountdown";
+import { rememberView, takeRestoredPlaylist } from "../services/loginReturn";
 import '../CSS/Playlists.css';
 
-function Playlists({ weatherData, playlistSettings }){
+/**
+ * What each progress stage from getRecommendations means to the user
+ */
+const PROGRESS_LABELS = {
+    starting: 'Reading the weather',
+    personalizing: 'Checking your listening history',
+    searching: 'Searching Spotify',
+    filtering: 'Removing duplicates and filtered tracks',
+    scoring: 'Matching tracks to the weather',
+    done: 'Finishing up'
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.weatherData - Weather to generate for (current conditions or a forecast block)
+ * @param {Object|null} props.weatherChange - { from, to } when a background refresh found a new condition
+ * @param {Function} props.onDismissWeatherChange - Clears weatherChange
+ */
+function Playlists({ weatherData, weatherChange = null, onDismissWeatherChange }){
     // ========================================================================
     // STATE MANAGEMENT
     // ========================================================================
@@ -50,8 +81,9 @@ function Playlists({ weatherData, playlistSettings }){
      * Array of curated track objects from Spotify's catalog
      * Each track contains comprehensive metadata: name, artist, album, duration,
      * explicit content flags, popularity scores, and availability information
+     * Starts with the unsaved playlist from before a Spotify login, if any
      */
-    const [tracks, setTracks] = useState([]);
+    const [tracks, setTracks] = useState(() => takeRestoredPlaylist(weatherData?.forecastFor || null) || []);
     
     /**
      * Error state for comprehensive user feedback
@@ -60,11 +92,18 @@ function Playlists({ weatherData, playlistSettings }){
      */
     const [error, setError] = useState(null);
     
+    /**
+     * When Spotify's rate limit ends, after a RateLimitError
+     * Drives the live countdown; generating and saving wait until it reaches zero
+     */
+    const [rateLimitUntil, setRateLimitUntil] = useState(null);
+    const rateLimitSeconds = useCountdown(rateLimitUntil);
+    
     /**
      * Success flag indicating playlist generation completion
      * Controls UI state transitions and determines available user actions
      */
-    const [playlistCreated, setPlaylistCreated] = useState(false);
+    const [playlistCreated, setPlaylistCreated] = useState(tracks.length > 0);
     
     /**
      * Spotify API service instance with sophisticated recommendation algorithms
@@ -73,6 +112,14 @@ function Playlists({ weatherData, playlistSettings }){
      */
     const [spotifyAuth] = useState(new SpotifyAuth());
     
+    /**
+     * AbortController for the generation in progress
+     * Aborted when a new generation starts, the user cancels, the forecast
+     * selection changes or the component unmounts; a generation only updates
+     * state while it is still the current one
+     */
+    const generationRef = useRef(null);
+    
     /**
      * Loading state for Spotify playlist creation operations
      * Separate from generation loading to allow concurrent operations
@@ -80,6 +127,35 @@ function Playlists({ weatherData, playlistSettings }){
      */
     const [creatingSpotifyPlaylist, setCreatingSpotifyPlaylist] = useState(false);
     
+    /**
+     * Tracks written so far while saving to Spotify: { written, total }
+     * (null until the first batch is written)
+     */
+    const [saveProgress, setSaveProgress] = useState(null);
+    
+    /**
+     * Where "Save to Spotify" writes: 'new', 'rolling' (ROLLING_PLAYLIST_NAME)
+     * or the id of one of the user's WeatherBeats playlists
+     */
+    const [saveTarget, setSaveTarget] = useState('new');
+    
+    /**
+     * How an existing playlist is updated: 'replace' its tracks or 'append' new ones
+     */
+    const [saveMode, setSaveMode] = useState('replace');
+    
+    /**
+     * Playlists WeatherBeats saved earlier (owned by the signed-in user)
+     * Offered as save targets; empty when signed out or not loaded
+     */
+    const [weatherBeatsPlaylists, setWeatherBeatsPlaylists] = useState([]);
+    
+    /**
+     * Latest progress snapshot from getRecommendations while generating
+     * { stage, fraction, queriesDone, queriesTotal, marketsTried, tracksCollected, partialTracks }
+     */
+    const [progress, setProgress] = useState(null);
+    
     /**
      * Current page number for track pagination
      * Manages display of large playlists in digestible chunks
@@ -92,6 +168,12 @@ function Playlists({ weatherData, playlistSettings }){
      */
     const [tracksPerPage] = useState(6);
 
+    /**
+     * User preferences from the persisted settings store
+     * Already typed and validated, so playlistLength is always a number
+     */
+    const [playlistSettings] = useSettings();
+
     // ========================================================================
     // DATA EXTRACTION AND COMPUTATION
     // ========================================================================
@@ -112,8 +194,9 @@ function Playlists({ weatherData, playlistSettings }){
      * and final playlist composition in the underlying API service
      */
     const weatherMain = main;
-    const playlistLength = playlistSettings?.playlistLength || 10;
-    const allowExplicit = playlistSettings?.isExplicit === true;
+    const playlistLength = playlistSettings.playlistLength;
+    const allowExplicit = playlistSettings.isExplicit;
+    const units = playlistSettings.units;
 
     /**
      * Calculate pagination variables for track display management
@@ -124,6 +207,65 @@ function Playlists({ weatherData, playlistSettings }){
     const endIndex = startIndex + tracksPerPage;
     const currentTracks = tracks.slice(startIndex, endIndex);
 
+    /**
+     * Forecast time the playlist is for (null for current weather)
+     * Forecast blocks come from forecastBlockToWeather and carry forecastFor
+     */
+    const forecastFor = weatherData?.forecastFor || null;
+    const forecastLabel = forecastFor ? formatForecastTime(forecastFor, weatherData.timezone) : null;
+
+    // ========================================================================
+    // FORECAST SELECTION RESET
+    // ========================================================================
+
+    /**
+     * Start over when the user switches between current weather and a forecast block
+     * A playlist generated for one time shouldn't be saved under another's weather
+     * (nothing to reset on mount, which would drop a playlist restored after login)
+     */
+    const forecastForRef = useRef(forecastFor);
+    useEffect(() => {
+        if (forecastForRef.current === forecastFor) return;
+        forecastForRef.current = forecastFor;
+        
+        generationRef.current?.abort();
+        generationRef.current = null;
+        setLoading(false);
+        setProgress(null);
+        setTracks([]);
+        setPlaylistCreated(false);
+        setError(null);
+        setCurrentPage(1);
+    }, [forecastFor]);
+
+    /**
+     * Keep the generated playlist in the view restored after a Spotify login
+     */
+    useEffect(() => {
+        rememberView({ playlist: playlistCreated && tracks.length > 0 ? { forecastFor, tracks } : null });
+    }, [playlistCreated, tracks, forecastFor]);
+
+    /**
+     * Load the user's WeatherBeats playlists once there is something to save
+     * Without them, saving still works as a new or rolling playlist
+     */
+    useEffect(() => {
+        if (!playlistCreated || !spotifyAuth.isLoggedIn()) return;
+        
+        const controller = new AbortController();
+        spotifyAuth.findWeatherBeatsPlaylists({ signal: controller.signal })
+            .then(setWeatherBeatsPlaylists)
+            .catch(error => {
+                if (error.name !== 'AbortError') console.warn('Could not load WeatherBeats playlists:', error.message);
+            });
+        return () => controller.abort();
+    }, [playlistCreated, spotifyAuth]);
+
+    /**
+     * Stop any running generation when the component unmounts
+     */
+    useEffect(() => () => generationRef.current?.abort(), []);
+
     // ========================================================================
     // CORE PLAYLIST GENERATION ENGINE
     // ========================================================================
@@ -158,6 +300,12 @@ function Playlists({ weatherData, playlistSettings }){
     const generatePlaylist = async () => {
         console.log('🚀 Generate playlist button clicked!');
         
+        // Replace any generation still running
+        generationRef.current?.abort();
+        onDismissWeatherChange?.();
+        const controller = new AbortController();
+        generationRef.current = controller;
+        
         try {
             console.log('📊 Checking prerequisites...');
             
@@ -168,26 +316,18 @@ function Playlists({ weatherData, playlistSettings }){
                 return;
             }
 
-            // Phase 2: Verify API service configuration
-            console.log('🔧 Checking environment variables...');
-            const spotifyKey = import.meta.env.VITE_SPOTIFY_API_KEY;
-            console.log('Spotify API key exists:', !!spotifyKey);
-
-            if (!spotifyKey) {
-                console.error('❌ Spotify API key missing');
-                setError('Spotify API key not configured - please contact support');
-                return;
-            }
-
-            // Phase 3: Initialize generation process
+            // Phase 2: Initialize generation process
+            // (Spotify configuration is checked once at startup, see appConfig.js)
             console.log('⏳ Setting loading state...');
             setLoading(true);
             setError(null);
+            setRateLimitUntil(null);
+            setProgress(null);
             setPlaylistCreated(false);
             setTracks([]);
 
             console.log('🎵 Calling sophisticated recommendation engine...');
-            console.log('Parameters:', { weatherMain, playlistLength, allowExplicit });
+            console.log('Parameters:', { weatherMain, playlistLength, allowExplicit, units });
             
             /**
              * Execute the core recommendation algorithm
@@ -196,6 +336,8 @@ function Playlists({ weatherData, playlistSettings }){
              * a sophisticated search-based music discovery system that:
              * 
              * - Maps weather conditions to musical characteristics
+             * - Scores temperature, wind, humidity and precipitation into
+             *   energy/warmth/intensity targets that steer queries and ordering
              * - Generates diverse search queries from multiple strategies
              * - Executes searches across regional markets for availability
              * - Filters results for quality and appropriateness
@@ -206,18 +348,35 @@ function Playlists({ weatherData, playlistSettings }){
              * traditional recommendation APIs while ensuring high-quality,
              * weather-appropriate music selection.
              */
-            const recommendedTracks = await spotifyAuth.getRecommendations(weatherMain, playlistLength, allowExplicit);
+            const recommendedTracks = await spotifyAuth.getRecommendations(weatherData, playlistLength, allowExplicit, units, {
+                blocked: {
+                    blockedArtists: playlistSettings.blockedArtists,
+                    blockedGenres: playlistSettings.blockedGenres,
+                    blockedKeywords: playlistSettings.blockedKeywords
+                },
+                // Only used when signed in; anonymous users get catalog-only results
+                personalization: playlistSettings.personalizationStrength / 100,
+                // 'auto' resolves from the Spotify profile, the weather location, then the locale
+                market: playlistSettings.market,
+                signal: controller.signal,
+                onProgress: (snapshot) => {
+                    if (!controller.signal.aborted) setProgress(snapshot);
+                }
+            });
+            
+            // Cancelled or superseded while waiting - leave the newer state alone
+            if (controller.signal.aborted) return;
             
             console.log('✅ Recommendations received:', recommendedTracks);
             console.log('Number of tracks:', recommendedTracks?.length || 0);
 
-            // Phase 4: Validate generation results
+            // Phase 3: Validate generation results
             if (!recommendedTracks || recommendedTracks.length === 0) {
                 console.error('❌ No tracks in recommendations');
-                throw new Error('Unable to generate playlist. This may be due to API restrictions or regional limitations. Please try again.');
+                throw new RegionError('Unable to generate playlist. This may be due to API restrictions or regional limitations. Please try again.');
             }
 
-            // Phase 5: Update application state with successful results
+            // Phase 4: Update application state with successful results
             console.log('✅ Setting final tracks...');
             setTracks(recommendedTracks);
             setPlaylistCreated(true);
@@ -228,36 +387,60 @@ function Playlists({ weatherData, playlistSettings }){
             /**
              * Comprehensive error handling for various failure scenarios
              * 
-             * Provides specific user feedback based on error type to help
-             * users understand and potentially resolve issues:
+             * Provides specific user feedback based on the error type (see
+             * services/errors.js) to help users understand and potentially
+             * resolve issues:
              * 
-             * - Configuration errors: Direct users to support
-             * - Rate limiting: Advise waiting and retry timing
-             * - Authentication failures: Explain regional restrictions
+             * - Configuration errors: Name the setting to fix
+             * - Rate limiting: Live countdown until Spotify accepts requests again
+             * - Authentication failures: Suggest trying again shortly
+             * - Regional restrictions: Suggest regenerating with other markets
              * - Content filtering: Suggest preference adjustments
              * - Network issues: Provide retry guidance
+             * 
+             * Cancelled or superseded generations are ignored entirely.
              */
+            if (controller.signal.aborted) return;
+            
             console.error('💥 Playlist generation error:', error);
 
-            if (error.message.includes('Client ID not configured')) {
-                setError('Spotify API not configured properly - please contact support');
-            } else if (error.message.includes('rate limit') || error.message.includes('429')) {
-                setError('⚠️ Rate limited by Spotify - please wait 30 seconds and try again');
-            } else if (error.message.includes('401') || error.message.includes('403')) {
-                setError('⚠️ Spotify access denied - this may be due to regional restrictions or API limitations');
-            } else if (error.message.includes('regional limitations')) {
+            if (error instanceof RateLimitError) {
+                setRateLimitUntil(Date.now() + error.retryAfter * 1000);
+            } else if (error instanceof ConfigError) {
+                setError(error.message);
+            } else if (error instanceof AuthError) {
+                setError('⚠️ Spotify access denied - please try again in a moment');
+            } else if (error instanceof RegionError) {
                 setError('⚠️ Regional limitations detected. Trying different markets may help - please try regenerating.');
-            } else if (error.message.includes('No tracks available after filtering')) {
+            } else if (error instanceof NoResultsError) {
                 setError('⚠️ No clean tracks found for this weather. Try enabling explicit content in settings.');
+            } else if (error instanceof NetworkError) {
+                setError(`⚠️ ${error.message}`);
             } else {
                 setError(error.message || 'Failed to generate playlist. Please try again.');
             }
         } finally {
-            console.log('🔄 Clearing loading state...');
-            setLoading(false);
+            if (generationRef.current === controller) {
+                console.log('🔄 Clearing loading state...');
+                generationRef.current = null;
+                setLoading(false);
+                setProgress(null);
+            }
         }
     };
 
+    /**
+     * Cancel the generation in progress
+     * Its results (or errors) are discarded when they arrive
+     */
+    const cancelGeneration = () => {
+        console.log('🛑 Cancelling playlist generation');
+        generationRef.current?.abort();
+        generationRef.current = null;
+        setLoading(false);
+        setProgress(null);
+    };
+
     // ========================================================================
     // PAGINATION MANAGEMENT
     // ========================================================================
@@ -316,14 +499,17 @@ function Playlists({ weatherData, playlistSettings }){
      *    - Verifies user is logged in to Spotify
      *    - Confirms valid authentication tokens
      * 
-     * 2. PLAYLIST CREATION:
-     *    - Retrieves user profile information
-     *    - Creates playlist with weather-themed naming
-     *    - Sets appropriate privacy and description
+     * 2. PLAYLIST CREATION OR UPDATE (SpotifyAuth.savePlaylist):
+     *    - New playlist: weather-themed name, private, descriptive text
+     *    - Rolling playlist: ROLLING_PLAYLIST_NAME, created on first use
+     *    - Existing WeatherBeats playlist: the chosen one
      * 
      * 3. CONTENT POPULATION:
      *    - Converts track objects to Spotify URIs
-     *    - Batch adds all tracks to the new playlist
+     *    - New playlists get every track; existing ones have their tracks
+     *      replaced, or only tracks they don't have yet appended (saveMode)
+     *    - Written in batches of 100 with progress on the button; transient
+     *      failures are retried and a save that still fails is rolled back
      *    - Handles API rate limits and errors gracefully
      * 
      * 4. USER EXPERIENCE:
@@ -349,33 +535,45 @@ function Playlists({ weatherData, playlistSettings }){
         }
 
         setCreatingSpotifyPlaylist(true);
+        setSaveProgress(null);
         setError(null);
 
         try {
-            // Phase 1: Get user profile for playlist ownership
-            console.log('👤 Getting user profile...');
-            const user = await spotifyAuth.getUserProfile();
-            console.log('User profile:', user);
+            // Phase 1: Work out where the tracks go
+            const target = saveTarget === 'new' || saveTarget === 'rolling'
+                ? saveTarget
+                : weatherBeatsPlaylists.find(playlist => playlist.id === saveTarget) || 'new';
             
-            // Phase 2: Create playlist with descriptive metadata
-            console.log('📝 Creating playlist...');
-            const playlist = await spotifyAuth.createPlaylist(
-                user.id,
-                `${cityName} - ${weatherMain} Vibes`,
-                `Perfect playlist for ${weatherMain.toLowerCase()} weather in ${cityName}. Generated with ${tracks.length} tracks using WeatherBeats.`,
-                false // Private playlist for user privacy
-            );
+            // Phase 2: Create or update the playlist (the description names WeatherBeats,
+            // which is how findWeatherBeatsPlaylists recognises it later)
+            console.log('📝 Saving playlist...', { target: target.id || target, mode: saveMode });
+            const { playlist, added, created } = await spotifyAuth.savePlaylist({
+                target,
+                mode: saveMode,
+                name: forecastLabel ? `${cityName} - ${weatherMain} Vibes (${forecastLabel})` : `${cityName} - ${weatherMain} Vibes`,
+                description: forecastLabel
+                    ? `Perfect playlist for the ${weatherMain.toLowerCase()} weather forecast in ${cityName} for ${forecastLabel}. Generated with ${tracks.length} tracks using WeatherBeats.`
+                    : `Perfect playlist for ${weatherMain.toLowerCase()} weather in ${cityName}. Generated with ${tracks.length} tracks using WeatherBeats.`,
+                trackUris: tracks.map(track => track.uri)
+            }, { onProgress: setSaveProgress });
             
-            console.log('Playlist created:', playlist);
-
-            // Phase 3: Populate playlist with curated tracks
-            console.log('➕ Adding tracks to playlist...');
-            const trackUris = tracks.map(track => track.uri);
+            console.log('Playlist saved:', playlist);
+
+            // Phase 3: Provide success feedback and access
+            if (created) {
+                alert(`Playlist "${playlist.name}" created successfully! Check your Spotify app.`);
+            } else if (saveMode === 'append') {
+                alert(added > 0
+                    ? `Added ${added} new ${added === 1 ? 'track' : 'tracks'} to "${playlist.name}".`
+                    : `"${playlist.name}" already has all of these tracks.`);
+            } else {
+                alert(`Playlist "${playlist.name}" updated with ${added} tracks.`);
+            }
             
-            await spotifyAuth.addTracksToPlaylist(playlist.id, trackUris);
-
-            // Phase 4: Provide success feedback and access
-            alert(`Playlist "${playlist.name}" created successfully! Check your Spotify app.`);
+            // A playlist created just now becomes a target for the next save
+            spotifyAuth.findWeatherBeatsPlaylists()
+                .then(setWeatherBeatsPlaylists)
+                .catch(error => console.warn('Could not reload WeatherBeats playlists:', error.message));
             
             // Open playlist in Spotify for immediate access
             if (playlist.external_urls?.spotify) {
@@ -391,16 +589,27 @@ function Playlists({ weatherData, playlistSettings }){
              * - Insufficient permissions or scope
              * - API rate limiting during peak usage
              * - Network connectivity problems
+             * 
+             * savePlaylist rolls a failed save back; error.rolledBack is false
+             * only when that failed too and a partial playlist was left behind.
              */
             console.error('💥 Error creating Spotify playlist:', error);
+            const leftover = error.rolledBack === false
+                ? ' Part of the playlist may have been saved - check it in Spotify.'
+                : '';
             
-            if (error.message.includes('Authentication required')) {
-                setError('Please log into Spotify to save playlists to your account');
+            if (error instanceof AuthError) {
+                setError('Please log into Spotify to save playlists to your account.' + leftover);
+            } else if (error instanceof RateLimitError && !leftover) {
+                setRateLimitUntil(Date.now() + error.retryAfter * 1000);
+            } else if (error instanceof NetworkError) {
+                setError(`⚠️ ${error.message}${leftover}`);
             } else {
-                setError('Failed to create Spotify playlist: ' + error.message);
+                setError('Failed to create Spotify playlist: ' + error.message + leftover);
             }
         } finally {
             setCreatingSpotifyPlaylist(false);
+            setSaveProgress(null);
         }
     };
 
@@ -445,20 +654,40 @@ function Playlists({ weatherData, playlistSettings }){
                 <h2>Your Weather Playlist</h2>
             </div>
             
+            {/* Current conditions changed since the page loaded */}
+            {weatherChange && !forecastFor && (
+                <div className="weather-change-notice" role="status">
+                    <span>🌦️ The weather changed from {weatherChange.from} to {weatherChange.to}.</span>
+                    <div className="weather-change-actions">
+                        {playlistCreated && !loading && (
+                            <button className="weather-change-regen" onClick={generatePlaylist}>
+                                <RefreshCw size={14} />
+                                Regenerate for {weatherChange.to}
+                            </button>
+                        )}
+                        <button className="weather-change-dismiss" onClick={onDismissWeatherChange} title="Dismiss">
+                            <X size={14} />
+                        </button>
+                    </div>
+                </div>
+            )}
+            
             {/* ================================================================ */}
             {/* INITIAL STATE - Playlist Generation Interface */}
             {/* ================================================================ */}
             {!playlistCreated && (
                 <div>
                     <p>
-                        Ready to create your perfect playlist for today's weather in {cityName}?
+                        {forecastLabel
+                            ? `Ready to create your perfect playlist for the forecast in ${cityName} on ${forecastLabel}?`
+                            : `Ready to create your perfect playlist for today's weather in ${cityName}?`}
                     </p>
                     
                     {/* Primary generation button with intelligent loading states */}
                     <button 
                         className="playlists-btn" 
                         onClick={generatePlaylist}
-                        disabled={loading}
+                        disabled={loading || rateLimitSeconds > 0}
                     >
                         {loading ? (
                             <>
@@ -473,6 +702,51 @@ function Playlists({ weatherData, playlistSettings }){
                         )}
                     </button>
                     
+                    {/* Cancel the generation in progress */}
+                    {loading && (
+                        <button className="cancel-generation-btn" onClick={cancelGeneration}>
+                            <X size={16} />
+                            Cancel
+                        </button>
+                    )}
+                    
+                    {/* Live progress and the tracks found so far */}
+                    {loading && progress && (
+                        <div className="generation-progress">
+                            <div
+                                className="generation-progress-bar"
+                                role="progressbar"
+                                aria-label="Playlist generation progress"
+                                aria-valuemin={0}
+                                aria-valuemax={100}
+                                aria-valuenow={Math.round(progress.fraction * 100)}
+                            >
+                                <div className="generation-progress-fill" style={{ width: `${Math.round(progress.fraction * 100)}%` }} />
+                            </div>
+                            <p className="generation-progress-stage">
+                                {PROGRESS_LABELS[progress.stage]} - {Math.round(progress.fraction * 100)}%
+                            </p>
+                            <p className="generation-progress-counts">
+                                {progress.queriesDone}/{progress.queriesTotal} searches done
+                                {' · '}{progress.marketsTried} market {progress.marketsTried === 1 ? 'request' : 'requests'}
+                                {' · '}{progress.tracksCollected} tracks found
+                            </p>
+                            
+                            {progress.partialTracks.length > 0 && (
+                                <div className="partial-results">
+                                    <span className="playlist-label">Found so far</span>
+                                    <ul>
+                                        {progress.partialTracks.map(track => (
+                                            <li key={track.id}>
+                                                {track.name} <span>- {track.artists.map(artist => artist.name).join(', ')}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    
                     {/* Transparent information about current generation settings */}
                     <div className="generation-info">
                         <Info size={14} />
@@ -577,17 +851,48 @@ function Playlists({ weatherData, playlistSettings }){
                     {/* ========================================================== */}
                     {/* ACTION BUTTONS - Playlist management and regeneration */}
                     {/* ========================================================== */}
+                    {/* Where Save to Spotify writes, and how existing playlists change */}
+                    <div className="save-options">
+                        <label>
+                            <span className="playlist-label">Save to</span>
+                            <select value={saveTarget} onChange={(event) => setSaveTarget(event.target.value)}>
+                                <option value="new">A new playlist</option>
+                                <option value="rolling">{ROLLING_PLAYLIST_NAME} (one rolling playlist)</option>
+                                {weatherBeatsPlaylists.some(playlist => playlist.name !== ROLLING_PLAYLIST_NAME) && (
+                                    <optgroup label="Your WeatherBeats playlists">
+                                        {weatherBeatsPlaylists
+                                            .filter(playlist => playlist.name !== ROLLING_PLAYLIST_NAME)
+                                            .map(playlist => (
+                                                <option key={playlist.id} value={playlist.id}>
+                                                    {playlist.name} ({playlist.tracks?.total ?? 0} tracks)
+                                                </option>
+                                            ))}
+                                    </optgroup>
+                                )}
+                            </select>
+                        </label>
+                        {saveTarget !== 'new' && (
+                            <label>
+                                <span className="playlist-label">Existing tracks</span>
+                                <select value={saveMode} onChange={(event) => setSaveMode(event.target.value)}>
+                                    <option value="replace">Replace them</option>
+                                    <option value="append">Keep them, add new tracks at the end</option>
+                                </select>
+                            </label>
+                        )}
+                    </div>
+
                     <div className="playlist-actions">
-                        {/* Save to Spotify - Creates permanent playlist in user's account */}
+                        {/* Save to Spotify - Creates or updates a playlist in user's account */}
                         <button 
                             onClick={createSpotifyPlaylist}
-                            disabled={creatingSpotifyPlaylist}
+                            disabled={creatingSpotifyPlaylist || rateLimitSeconds > 0}
                             className="save-to-spotify-btn"
                         >
                             {creatingSpotifyPlaylist ? (
                                 <>
                                     <Loader className="loading-spinner" />
-                                    Creating...
+                                    {saveProgress ? `Saving... ${saveProgress.written}/${saveProgress.total}` : 'Saving...'}
                                 </>
                             ) : (
                                 <>
@@ -601,7 +906,7 @@ function Playlists({ weatherData, playlistSettings }){
                         <button 
                             className="regen-playlist-btn" 
                             onClick={generatePlaylist}
-                            disabled={loading}
+                            disabled={loading || rateLimitSeconds > 0}
                         >
                             {loading ? (
                                 <>
@@ -622,6 +927,11 @@ function Playlists({ weatherData, playlistSettings }){
             {/* ================================================================ */}
             {/* ERROR STATE - Comprehensive error feedback and recovery options */}
             {/* ================================================================ */}
+            {rateLimitSeconds > 0 && (
+                <div className="error-message error-info" role="status">
+                    ⚠️ Rate limited by Spotify - you can try again in {rateLimitSeconds}s
+                </div>
+            )}
             {error && (
                 <div className={`error-message ${error.includes('✅') ? 'success-info' : 'error-info'}`}>
                     {error}
@@ -6,24 +6,50 @@
  * recommendation algorithm and content filtering.
  * 
  * Key Features:
- * - Playlist length selection (10, 20, or 30 tracks)
+ * - Playlist length selection (10 to 100 tracks)
  * - Explicit content toggle for family-friendly filtering
+ * - Units preference (metric, imperial, standard) for weather requests and display
+ * - Spotify market override (automatic by default; see services/markets.js)
+ * - Blocked artists, genres and title keywords kept out of every playlist
+ * - Personalization strength for blending in the signed-in user's taste
  * - Real-time settings updates with immediate effect
+ * - Settings persisted across sessions, with JSON import/export
  * - Accessible form controls with proper labeling
  * - Custom toggle switch with smooth animations
  * 
  * State Management:
- * Uses "lift state up" pattern - settings are managed in parent component
- * and passed down as props, with change handlers lifting updates back up.
- * This ensures playlist generation always uses current user preferences.
+ * Reads and updates the shared settings store (services/settingsStore.js)
+ * through the useSettings hook. The store validates every change and
+ * persists it to localStorage, and every component reading it updates
+ * immediately, so playlist generation always uses current user preferences.
  * 
  * @author Your Name
  * @version 1.0.0
  */
 
+import { useState, useMemo } from 'react';
+import { Download, Upload } from 'lucide-react';
+import BlockListEditor from './BlockListEditor';
 import '../CSS/Settings.css';
+import { UNIT_SYSTEMS, UNIT_LABELS } from '../services/units';
+import { useSettings, exportSettings, importSettings, SETTINGS_SCHEMA } from '../services/settingsStore';
+import { SUPPORTED_MARKETS, AUTO_MARKET, getMarketName } from '../services/markets';
+
+function Settings() {
+    // ========================================================================
+    // STATE MANAGEMENT
+    // ========================================================================
+
+    /**
+     * Current settings and the store's update function
+     */
+    const [settings, updateSettings] = useSettings();
+
+    /**
+     * Result of the last import ({type: 'success'|'error', text}) or null
+     */
+    const [transferMessage, setTransferMessage] = useState(null);
 
-function Settings({ settings, onSettingsChange }) {
     // ========================================================================
     // EVENT HANDLERS - USER PREFERENCE UPDATES
     // ========================================================================
@@ -36,15 +62,13 @@ function Settings({ settings, onSettingsChange }) {
      * - 10 tracks: Quick playlist for short listening sessions
      * - 20 tracks: Standard playlist for medium sessions
      * - 30 tracks: Extended playlist for long listening sessions
+     * - 50 / 100 tracks: Long playlists (saved to Spotify in batches of 100)
      * 
      * @param {Event} event - Select change event
      */
     const lengthChange = (event) => {
-        const newSettings = {
-        ...settings,
-        playlistLength: event.target.value
-        };
-        onSettingsChange(newSettings);
+        // <select> values are strings - store the number
+        updateSettings({ playlistLength: Number(event.target.value) });
     };
 
     /**
@@ -64,11 +88,84 @@ function Settings({ settings, onSettingsChange }) {
      * @param {Event} event - Checkbox change event
      */
     const explicitChange = (event) => {
-        const newSettings = {
-            ...settings,
-            isExplicit: event.target.checked
-        };
-        onSettingsChange(newSettings);
+        updateSettings({ isExplicit: event.target.checked });
+    };
+
+    /**
+     * Handle unit system changes
+     * Weather is re-requested in the new system (OpenWeatherMap converts
+     * server-side), and temperature, wind and visibility display follow it
+     * 
+     * @param {Event} event - Select change event
+     */
+    const unitsChange = (event) => {
+        updateSettings({ units: event.target.value });
+    };
+
+    /**
+     * Handle Spotify market changes
+     * 'auto' resolves the market from the Spotify profile, the weather
+     * location and the browser locale at generation time
+     * 
+     * @param {Event} event - Select change event
+     */
+    const marketChange = (event) => {
+        updateSettings({ market: event.target.value });
+    };
+
+    /**
+     * Supported markets by country name, for the market selector
+     */
+    const marketOptions = useMemo(() => SUPPORTED_MARKETS
+        .map(market => ({ market, name: getMarketName(market) }))
+        .sort((a, b) => a.name.localeCompare(b.name)), []);
+
+    /**
+     * Handle personalization strength changes
+     * Sets how much of the playlist comes from the signed-in user's top
+     * artists/tracks and saved library (0% = weather catalog only)
+     * 
+     * @param {Event} event - Range input change event
+     */
+    const personalizationChange = (event) => {
+        updateSettings({ personalizationStrength: Number(event.target.value) });
+    };
+
+    // ========================================================================
+    // IMPORT / EXPORT
+    // ========================================================================
+
+    /**
+     * Download the current settings as a JSON file
+     */
+    const handleExport = () => {
+        const blob = new Blob([exportSettings()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'weatherbeats-settings.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * Load settings from a previously exported JSON file
+     * Older versions are migrated; invalid files leave settings unchanged
+     * 
+     * @param {Event} event - File input change event
+     */
+    const handleImport = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        try {
+            importSettings(await file.text());
+            setTransferMessage({ type: 'success', text: 'Settings imported' });
+        } catch (error) {
+            console.error('Error importing settings:', error);
+            setTransferMessage({ type: 'error', text: error.message });
+        }
     };
 
     // ========================================================================
@@ -80,6 +177,10 @@ function Settings({ settings, onSettingsChange }) {
      * 1. Header indicating this is the settings section
      * 2. Playlist length dropdown selector
      * 3. Explicit content toggle switch
+     * 4. Units dropdown selector
+     * 5. Personalization strength slider
+     * 6. Blocked artists, genres and title keywords
+     * 7. Import/export buttons
      * 
      * Design Notes:
      * - Uses semantic HTML with proper labels for accessibility
@@ -110,6 +211,8 @@ function Settings({ settings, onSettingsChange }) {
                     <option value={10}>10 songs</option>
                     <option value={20}>20 songs</option>
                     <option value={30}>30 songs</option>
+                    <option value={50}>50 songs</option>
+                    <option value={100}>100 songs</option>
                 </select>
             </div>
             
@@ -132,6 +235,121 @@ function Settings({ settings, onSettingsChange }) {
                     <span className='slider-round'></span>
                 </label>
             </div>
+            
+            {/* ============================================================ */}
+            {/* UNITS SELECTOR */}
+            {/* ============================================================ */}
+            <div>
+                {/* Label for units setting */}
+                <span className='playlist-label'>Units</span>
+                
+                {/* Dropdown selector for the weather unit system */}
+                <select 
+                    value={settings.units} 
+                    onChange={unitsChange} 
+                    className='settings-options'
+                >
+                    {UNIT_SYSTEMS.map(system => (
+                        <option key={system} value={system}>{UNIT_LABELS[system]}</option>
+                    ))}
+                </select>
+            </div>
+            
+            {/* ============================================================ */}
+            {/* SPOTIFY MARKET */}
+            {/* ============================================================ */}
+            <div>
+                <span className='playlist-label'>Spotify Market</span>
+                
+                {/* Country searches run in; automatic unless overridden */}
+                <select 
+                    value={settings.market} 
+                    onChange={marketChange} 
+                    className='settings-options'
+                >
+                    <option value={AUTO_MARKET}>Automatic</option>
+                    {marketOptions.map(({ market, name }) => (
+                        <option key={market} value={market}>{name}</option>
+                    ))}
+                </select>
+                {settings.market === AUTO_MARKET && (
+                    <small className='market-hint'>
+                        Uses your Spotify account's country, then the weather location's, then your browser language
+                    </small>
+                )}
+            </div>
+            
+            {/* ============================================================ */}
+            {/* PERSONALIZATION STRENGTH */}
+            {/* ============================================================ */}
+            <div className='personalization'>
+                <span className='playlist-label'>
+                    Personalization: {settings.personalizationStrength}%
+                </span>
+                
+                {/* Share of the playlist seeded from the user's own listening */}
+                <input 
+                    type='range'
+                    min={0}
+                    max={100}
+                    step={10}
+                    value={settings.personalizationStrength}
+                    onChange={personalizationChange}
+                    className='personalization-slider'
+                    aria-label='Personalization strength'
+                />
+                <small className='personalization-hint'>
+                    Blends in your top artists, top tracks and saved songs when signed in to Spotify
+                </small>
+            </div>
+            
+            {/* ============================================================ */}
+            {/* BLOCKED ARTISTS, GENRES AND KEYWORDS */}
+            {/* ============================================================ */}
+            <div className='blocklists'>
+                <BlockListEditor
+                    label='Blocked Artists'
+                    items={settings.blockedArtists}
+                    onChange={(blockedArtists) => updateSettings({ blockedArtists })}
+                    placeholder='e.g. Imagine Dragons'
+                    maxItems={SETTINGS_SCHEMA.blockedArtists.maxItems}
+                />
+                <BlockListEditor
+                    label='Blocked Genres'
+                    items={settings.blockedGenres}
+                    onChange={(blockedGenres) => updateSettings({ blockedGenres })}
+                    placeholder='e.g. country'
+                    maxItems={SETTINGS_SCHEMA.blockedGenres.maxItems}
+                />
+                <BlockListEditor
+                    label='Blocked Title Keywords'
+                    items={settings.blockedKeywords}
+                    onChange={(blockedKeywords) => updateSettings({ blockedKeywords })}
+                    placeholder='e.g. christmas'
+                    maxItems={SETTINGS_SCHEMA.blockedKeywords.maxItems}
+                />
+            </div>
+            
+            {/* ============================================================ */}
+            {/* SETTINGS IMPORT / EXPORT */}
+            {/* ============================================================ */}
+            <div className='settings-transfer'>
+                <button className='settings-transfer-btn' onClick={handleExport}>
+                    <Download size={16} />
+                    Export
+                </button>
+                
+                {/* Label wraps a hidden file input so the button opens the file picker */}
+                <label className='settings-transfer-btn'>
+                    <Upload size={16} />
+                    Import
+                    <input type='file' accept='application/json,.json' onChange={handleImport} hidden />
+                </label>
+            </div>
+            
+            {transferMessage && (
+                <p className={`settings-transfer-message ${transferMessage.type}`}>{transferMessage.text}</p>
+            )}
         </div>
     )
 }
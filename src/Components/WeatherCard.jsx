@@ -23,11 +23,13 @@
  */
 
 import { useState, useEffect } from "react";
-import { Cloud, Sun, CloudRain, MoonStar, CloudFog, Haze, Tornado, CloudDrizzle, CloudLightning, Snowflake } from 'lucide-react';
 import Card from './Card';
+import WeatherIcon from './WeatherIcon';
 import '../CSS/WeatherCard.css';
+import { formatForecastTime } from '../services/forecast';
+import { formatTemperature, formatWindSpeed, formatVisibility } from '../services/units';
 
-function WeatherCard ({ weatherData }){
+function WeatherCard ({ weatherData, units = 'imperial' }){
     // ========================================================================
     // STATE MANAGEMENT
     // ========================================================================
@@ -37,12 +39,6 @@ function WeatherCard ({ weatherData }){
      * Updates every second to show live time
      */
     const [currentTime, setCurrentTime] = useState('');
-    
-    /**
-     * Weather icon component based on current conditions
-     * Dynamically selected from Lucide React icon set
-     */
-    const [icon, setIcon] = useState(null);
 
     // ========================================================================
     // EARLY RETURN FOR MISSING DATA
@@ -68,22 +64,29 @@ function WeatherCard ({ weatherData }){
     /**
      * Extract and process weather data from API response
      * Destructures complex weather object into usable variables
-     * Rounds temperatures to whole numbers for cleaner display
+     * Formats values in the unit system the weather was requested in
      */
     const {
         name: cityName,
         main: {temp, feels_like},
-        weather: [{main, description}],
+        weather: [{description}],
+        wind,
+        visibility
     } = weatherData;
 
-    // Process temperature values (round to integers)
-    const temperature = Math.round(temp);
-    const feelsLike = Math.round(feels_like);
+    // Format temperature, wind and visibility for the chosen unit system
+    const temperature = formatTemperature(temp, units);
+    const feelsLike = formatTemperature(feels_like, units);
+    const windSpeed = typeof wind?.speed === 'number' ? formatWindSpeed(wind.speed, units) : null;
+    const visibilityDistance = typeof visibility === 'number' ? formatVisibility(visibility, units) : null;
     
     // Extract other weather information
     const city = cityName;
-    const weatherDescription = description;
-    const weatherMain = main;
+    
+    // Forecast blocks show their own time instead of the live clock
+    const forecastLabel = weatherData.forecastFor
+        ? `Forecast for ${formatForecastTime(weatherData.forecastFor, weatherData.timezone)}`
+        : null;
     
     // ========================================================================
     // REAL-TIME CLOCK FUNCTIONALITY
@@ -132,88 +135,11 @@ function WeatherCard ({ weatherData }){
     /**
      * Select appropriate weather icon based on conditions and time of day
      * 
-     * Icon Selection Logic:
-     * 1. Maps weather conditions to appropriate Lucide React icons
-     * 2. Considers time of day for clear weather (sun vs moon)
-     * 3. Groups similar conditions (mist, smoke, fog all use CloudFog)
-     * 4. Provides fallback for unknown conditions
-     * 
-     * Supported Weather Conditions:
-     * - Precipitation: Rain, Drizzle, Snow, Thunderstorm
-     * - Atmospheric: Mist, Smoke, Haze, Dust, Fog, Ash
-     * - Extreme: Tornado
-     * - Clear: Sun (day) or Moon (night)
-     * - Cloudy: Standard cloud icon
+     * WeatherIcon looks up the icon the shared weather catalog names for the
+     * condition, including sunrise/sun/sunset/moon for clear weather depending
+     * on the location's solar phase (or the forecast block's time).
      */
-    useEffect(() => {
-        // Determine if it's currently daytime (6 AM to 6 PM)
-        const currentHour = new Date().getHours();
-        const isDay = currentHour >= 6 && currentHour < 18;
-
-        const updateIcon = () => {
-            switch (weatherMain.toLowerCase()) {
-                case 'rain':
-                    setIcon(<CloudRain/>);
-                    break;
-                case 'drizzle':
-                    setIcon(<CloudDrizzle/>);
-                    break;
-                case 'thunderstorm':
-                    setIcon(<CloudLightning/>);
-                    break;
-                case 'snow':
-                    setIcon(<Snowflake/>);
-                    break;
-                case 'clouds':
-                    setIcon(<Cloud/>);
-                    break;
-                case 'mist':
-                    setIcon(<CloudFog/>);
-                    break;
-                case 'smoke':
-                    setIcon(<CloudFog/>);
-                    break;
-                case 'haze':
-                    setIcon(<Haze/>);
-                    break;
-                case 'dust':
-                    setIcon(<Haze/>);
-                    break;
-                case 'fog':
-                    setIcon(<CloudFog/>);
-                    break;
-                case 'ash':
-                    setIcon(<Haze/>);
-                    break;
-                case 'tornado':
-                    setIcon(<Tornado/>);
-                    break;
-                case 'clear':
-                    /**
-                     * Special handling for clear weather
-                     * Shows sun during day (6 AM - 6 PM) and moon at night
-                     */
-                    if(isDay){
-                        setIcon(<Sun/>);
-                    } else {
-                        setIcon(<MoonStar/>);
-                    } 
-                    break;
-                default: 
-                    /**
-                     * Fallback for unknown weather conditions
-                     * Defaults to sun/moon based on time of day
-                     */
-                    if(isDay){
-                        setIcon(<Sun/>);
-                    } else {
-                        setIcon(<MoonStar/>);
-                    }
-                    break;
-            }
-        };
-        updateIcon();
-    }, [weatherMain, weatherDescription]); // Re-run when weather changes
+    const icon = <WeatherIcon weatherData={weatherData} />;
 
     // ========================================================================
     // COMPONENT RENDER
@@ -244,14 +170,20 @@ function WeatherCard ({ weatherData }){
                 
                 {/* Temperature information */}
                 <div className="weather">
-                    <span className="temp">Temp: {temperature}°F</span>
-                    <span className="feels-like">Feels like: {feelsLike}°F</span>
+                    <span className="temp">Temp: {temperature}</span>
+                    <span className="feels-like">Feels like: {feelsLike}</span>
+                    {(windSpeed || visibilityDistance) && (
+                        <span className="weather-details">
+                            {windSpeed && <span>Wind: {windSpeed}</span>}
+                            {visibilityDistance && <span>Visibility: {visibilityDistance}</span>}
+                        </span>
+                    )}
                     <span className="weather-description">{description}</span>
                 </div>
                 
                 {/* Time and weather icon */}
                 <div className="weather-time-icon">
-                    <span className="current-time">{currentTime}</span>
+                    <span className="current-time">{forecastLabel || currentTime}</span>
                     <span className="weather-icon">{icon}</span>
                 </div>
             </div>
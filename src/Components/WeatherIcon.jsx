@@ -0,0 +1,37 @@
+/**
+ * WeatherIcon Component - Catalog-Driven Weather Symbol
+ *
+ * Renders the Lucide icon the shared weather catalog names for a weather
+ * payload, taking the location's solar phase into account (sunrise, sun,
+ * sunset or moon for clear weather).
+ *
+ * Used by:
+ * - WeatherCard for the current (or selected forecast) conditions
+ * - ForecastStrip for every forecast block
+ *
+ */
+
+import { Cloud, Sun, CloudRain, MoonStar, CloudFog, Haze, Tornado, CloudDrizzle, CloudLightning, Snowflake, Wind, Sunrise, Sunset } from 'lucide-react';
+import { getConditionEntry } from '../services/weatherCatalog';
+import { getSolarPhase } from '../services/solarPhase';
+
+/**
+ * Lucide icon components addressable by the icon names used in the weather catalog
+ */
+const catalogIcons = { Cloud, Sun, CloudRain, MoonStar, CloudFog, Haze, Tornado, CloudDrizzle, CloudLightning, Snowflake, Wind, Sunrise, Sunset };
+
+/**
+ * @param {Object} props
+ * @param {Object} props.weatherData - Current weather response or converted forecast block
+ * @param {number} props.size - Icon size in pixels (Lucide default when omitted)
+ *
+ * Unrecognised icon names fall back to the sun icon.
+ */
+function WeatherIcon({ weatherData, size }) {
+    const weatherMain = weatherData?.weather?.[0]?.main;
+    const IconComponent = catalogIcons[getConditionEntry(weatherMain, getSolarPhase(weatherData)).icon] || Sun;
+
+    return <IconComponent size={size} />;
+}
+
+export default WeatherIcon;
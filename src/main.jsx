@@ -1,7 +1,18 @@
 import { createRoot } from 'react-dom/client';
 import './CSS/index.css';
 import App from './App.jsx';
+import ConfigScreen from './Components/ConfigScreen.jsx';
+import { appConfig, getConfigProblems } from './services/appConfig';
+
+// Check the environment configuration before starting; errors replace the app
+// with a screen naming each setting to fix
+const configProblems = getConfigProblems();
+configProblems.forEach(problem => {
+    console[problem.severity === 'error' ? 'error' : 'warn'](`⚙️ ${problem.variable}: ${problem.message} ${problem.fix}`);
+});
 
 createRoot(document.getElementById('root')).render(
-    <App />
+    configProblems.some(problem => problem.severity === 'error')
+        ? <ConfigScreen config={appConfig} problems={configProblems} />
+        : <App />
 )
@@ -7,11 +7,17 @@
  * 
  * Core Features:
  * - OAuth 2.0 authentication with PKCE for secure user authorization
+ * - Proactive, shared token refresh; optional "stay signed in" (see tokenStore.js)
  * - Search-based music discovery and recommendation algorithms
  * - Regional market handling for optimal content availability
+ * - Concurrency-limited, rate-limited request scheduling with Retry-After support
+ * - Typed errors (see errors.js) so callers never match on message text
+ * - Every network call accepts an AbortSignal, so work can be cancelled
+ * - Search result cache (memory + IndexedDB) so repeated queries skip the network
  * - Rate limiting and API restriction management
  * - Weather-based music recommendation engine
- * - User playlist creation and management
+ * - Personalized seeding from the signed-in user's top artists, tracks and library
+ * - User playlist creation and management (new, rolling or existing playlists; replace or append)
  * 
  * Technical Architecture:
  * - Uses Client Credentials flow for public catalog access
@@ -23,6 +29,437 @@
  * @version 1.0.0
  */
 
+import { getConditionEntry } from './weatherCatalog';
+import { getSolarPhase } from './solarPhase';
+import { getWeatherTargets, getTargetModifierQueries, rankQueries, scoreTrack } from './weatherScoring';
+import { createBlocklist, findBlockedQueryTerm, getTrackBlockReason } from './blocklist';
+import {
+    RateLimitError, AuthError, ConsentDeniedError, RegionError, ConfigError, NetworkError, NoResultsError,
+    getRetryAfter, createResponseError, fetchWithNetworkErrors
+} from './errors';
+import { SearchCache, getSearchCacheKey } from './searchCache';
+import { getCachedWeather, cacheWeather, WEATHER_CACHE_TTL } from './weatherCache';
+import { appConfig } from './appConfig';
+import { resolveMarket, AUTO_MARKET } from './markets';
+import { getUserTokens, setUserTokens, clearUserTokens, hasPersistedLogin, loadPersistedRefreshToken } from './tokenStore';
+
+// ============================================================================
+// REQUEST SCHEDULER - CONCURRENCY AND RATE LIMITING
+// ============================================================================
+
+/**
+ * Build the error used when a scheduled request is cancelled
+ * 
+ * @param {AbortSignal} signal - Signal that was aborted
+ * @returns {Error} The signal's reason, or a DOMException named AbortError
+ */
+const getAbortError = (signal) => signal?.reason ?? new DOMException('Request cancelled', 'AbortError');
+
+/**
+ * Wait for a shared promise, giving up (alone) when this caller's signal aborts
+ * 
+ * @param {Promise<*>} promise - Work shared with other callers
+ * @param {AbortSignal} signal - Cancels this caller's wait only
+ * @returns {Promise<*>} The promise's result
+ */
+const untilAborted = (promise, signal) => {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(getAbortError(signal));
+
+    return new Promise((resolve, reject) => {
+        const handleAbort = () => reject(getAbortError(signal));
+        signal.addEventListener('abort', handleAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', handleAbort));
+    });
+};
+
+/**
+ * Wait, giving up early when the signal aborts
+ * 
+ * @param {number} ms - How long to wait
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise<void>}
+ */
+const waitFor = (ms, signal) => untilAborted(new Promise(resolve => setTimeout(resolve, ms)), signal);
+
+/**
+ * Runs API requests with a concurrency limit and a token-bucket rate limit
+ * 
+ * - At most `concurrency` requests are in flight at once
+ * - Requests start at up to `requestsPerSecond`, with bursts of up to `burst`
+ * - A task that throws a RateLimitError pauses the whole scheduler for its
+ *   retryAfter (from the 429's Retry-After header) and is retried, up to
+ *   `maxRetries` times
+ * - Each request can be cancelled with an AbortSignal: queued requests are
+ *   dropped, and running ones receive the signal to pass on to fetch
+ * 
+ * Requests start in the order they were scheduled (retries go first).
+ */
+export class RequestScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} options.concurrency - Maximum requests in flight
+     * @param {number} options.requestsPerSecond - Token refill rate
+     * @param {number} options.burst - Bucket size (requests that may start back to back)
+     * @param {number} options.maxRetries - Retries for a rate-limited request
+     */
+    constructor({ concurrency = 4, requestsPerSecond = 8, burst = 4, maxRetries = 2 } = {}) {
+        this.concurrency = concurrency;
+        this.requestsPerSecond = requestsPerSecond;
+        this.burst = burst;
+        this.maxRetries = maxRetries;
+        
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+        this.active = 0;
+        this.queue = [];
+        this.timer = null;
+    }
+
+    /**
+     * Queue a request
+     * 
+     * @param {Function} task - Called with the AbortSignal; returns a promise
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<*>} Resolves with the task's result
+     */
+    schedule(task, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(getAbortError(signal));
+                return;
+            }
+            
+            const job = { task, signal, attempts: 0 };
+            
+            const handleAbort = () => {
+                const index = this.queue.indexOf(job);
+                if (index !== -1) this.queue.splice(index, 1);
+                reject(getAbortError(signal));
+            };
+            
+            job.resolve = (value) => {
+                signal?.removeEventListener('abort', handleAbort);
+                resolve(value);
+            };
+            job.reject = (error) => {
+                signal?.removeEventListener('abort', handleAbort);
+                reject(error);
+            };
+            
+            signal?.addEventListener('abort', handleAbort, { once: true });
+            this.queue.push(job);
+            this.pump();
+        });
+    }
+
+    /**
+     * Stop starting requests for a while (e.g. after a 429)
+     * 
+     * @param {number} ms - Pause length in milliseconds
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+
+    /**
+     * Add the tokens earned since the last refill
+     * 
+     * @param {number} now - Current timestamp
+     */
+    refill(now) {
+        const earned = ((now - this.lastRefill) / 1000) * this.requestsPerSecond;
+        this.tokens = Math.min(this.burst, this.tokens + earned);
+        this.lastRefill = now;
+    }
+
+    /**
+     * @returns {number} Milliseconds until the next request may start (0 when it may start now)
+     */
+    getWait() {
+        const now = Date.now();
+        if (now < this.pausedUntil) return this.pausedUntil - now;
+        
+        this.refill(now);
+        if (this.tokens >= 1) return 0;
+        return Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+    }
+
+    /**
+     * Start as many queued requests as the limits allow
+     */
+    pump() {
+        if (this.timer) return;
+        
+        while (this.queue.length > 0 && this.active < this.concurrency) {
+            const wait = this.getWait();
+            if (wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.pump();
+                }, wait);
+                return;
+            }
+            
+            this.tokens -= 1;
+            this.run(this.queue.shift());
+        }
+    }
+
+    /**
+     * Run one request, retrying it after a rate limit
+     * 
+     * @param {Object} job - Queued request
+     */
+    async run(job) {
+        this.active += 1;
+        
+        try {
+            job.resolve(await job.task(job.signal));
+        } catch (error) {
+            const canRetry = error instanceof RateLimitError && job.attempts < this.maxRetries && !job.signal?.aborted;
+            
+            if (canRetry) {
+                job.attempts += 1;
+                console.log(`⏳ Rate limited - pausing requests for ${error.retryAfter}s`);
+                this.pause(error.retryAfter * 1000);
+                this.queue.unshift(job);
+            } else {
+                job.reject(error);
+            }
+        } finally {
+            this.active -= 1;
+            this.pump();
+        }
+    }
+}
+
+/**
+ * Shared by every SpotifyAuth instance so the limits apply to the whole app
+ */
+const spotifyScheduler = new RequestScheduler({ concurrency: 4, requestsPerSecond: 8, burst: 4 });
+
+/**
+ * Search results shared by every SpotifyAuth instance (see searchCache.js)
+ * 
+ * Catalog search results change slowly, so six hours keeps regenerations
+ * and repeat visits cheap without serving noticeably stale music.
+ */
+const spotifySearchCache = new SearchCache({ ttl: 6 * 60 * 60 * 1000, maxEntries: 300, memoryEntries: 100 });
+
+/**
+ * Login attempts started by authorize() (sessionStorage keys and limits)
+ * 
+ * The pending request holds the OAuth state sent to Spotify; the used list
+ * remembers states whose callback was already handled, to recognise a
+ * replayed callback URL (reload, back button, shared link).
+ */
+const AUTH_REQUEST_KEY = 'spotify_auth_request';
+const USED_AUTH_STATES_KEY = 'spotify_used_auth_states';
+const AUTH_REQUEST_TTL = 10 * 60 * 1000;
+const MAX_USED_AUTH_STATES = 10;
+
+/**
+ * Callbacks being handled, by code/error and state, so handling the same
+ * callback twice (e.g. an effect running again) shares one token exchange
+ */
+const authCallbacks = new Map();
+
+/**
+ * User tokens are refreshed this long before they expire
+ */
+const REFRESH_MARGIN = 60 * 1000;
+
+/**
+ * The refresh in progress, shared by every caller in this tab
+ */
+let userTokenRefresh = null;
+
+/**
+ * Timer for the next proactive refresh
+ */
+let proactiveRefreshTimer = null;
+
+/**
+ * Web Lock held while refreshing, so tabs take turns (a refresh token
+ * rotated by one tab is useless to another)
+ */
+const REFRESH_LOCK = 'weatherbeats-token-refresh';
+
+/**
+ * Every playlist WeatherBeats saves says so in its description, which is how
+ * findWeatherBeatsPlaylists tells them apart from the user's other playlists
+ */
+const WEATHERBEATS_TAG = 'WeatherBeats';
+
+/**
+ * The single playlist that "rolling" saves replace each time
+ */
+export const ROLLING_PLAYLIST_NAME = 'WeatherBeats – Today';
+
+/**
+ * Most of the user's playlists scanned for WeatherBeats ones (50 per request)
+ */
+const MAX_PLAYLISTS_SCANNED = 200;
+
+/**
+ * Most items Spotify accepts in one playlist add, replace or remove request
+ */
+const PLAYLIST_WRITE_CHUNK = 100;
+
+/**
+ * Tries per playlist write request; only rate limits, network errors and 5xx
+ * responses are retried (adds only after checking they weren't applied)
+ */
+const PLAYLIST_WRITE_ATTEMPTS = 3;
+
+/**
+ * Wait before retrying a failed playlist write (multiplied by the attempt
+ * number; a 429 waits its Retry-After instead)
+ */
+const PLAYLIST_WRITE_RETRY_DELAY = 1000;
+
+/**
+ * Keep only the track fields the app uses, so cached search results stay small
+ * 
+ * @param {Object} track - Track object from the Web API
+ * @returns {Object} Track with id, name, uri, flags, stats, artists and album basics
+ */
+const slimTrack = (track) => ({
+    id: track.id,
+    name: track.name,
+    uri: track.uri,
+    explicit: track.explicit,
+    duration_ms: track.duration_ms,
+    popularity: track.popularity,
+    preview_url: track.preview_url,
+    external_urls: track.external_urls,
+    artists: track.artists.map(({ id, name, uri, external_urls }) => ({ id, name, uri, external_urls })),
+    album: track.album && {
+        id: track.album.id,
+        name: track.album.name,
+        images: track.album.images,
+        release_date: track.album.release_date,
+        external_urls: track.album.external_urls
+    }
+});
+
+// ============================================================================
+// RECOMMENDATION PROGRESS
+// ============================================================================
+
+/**
+ * Key that identifies a song regardless of release (same as removeDuplicates)
+ * 
+ * @param {Object} track - Spotify track
+ * @returns {string} Lower-cased "artist-title"
+ */
+const getTrackKey = (track) => `${track.artists[0]?.name?.toLowerCase()}-${track.name?.toLowerCase()}`;
+
+/**
+ * Where each generation stage starts on the progress bar (0 to 1)
+ * 
+ * Searching takes almost all of the time, so it covers most of the bar.
+ */
+const PROGRESS_STAGES = {
+    starting: 0,
+    personalizing: 0.02,
+    searching: 0.05,
+    filtering: 0.9,
+    scoring: 0.95,
+    done: 1
+};
+
+/**
+ * Track a recommendation run and report it through onProgress
+ * 
+ * Every event is a snapshot:
+ *   { stage, fraction, queriesDone, queriesTotal, marketsTried,
+ *     tracksCollected, tracksTarget, partialTracks }
+ * where tracksCollected counts unique tracks that passed the quality,
+ * blocklist and explicit filters, and partialTracks holds the first of them
+ * (up to the playlist length) as a preview of what's coming.
+ * 
+ * @param {Function|undefined} onProgress - Receives each snapshot
+ * @param {number} limit - Playlist length
+ * @param {boolean} allowExplicit - Whether explicit tracks count
+ * @returns {Object} Reporter with stage, addQueries, addTracks and searchResult
+ */
+const createProgressReporter = (onProgress, limit, allowExplicit) => {
+    const state = {
+        stage: 'starting',
+        fraction: 0,
+        queriesDone: 0,
+        queriesTotal: 0,
+        marketsTried: 0,
+        tracksCollected: 0,
+        tracksTarget: limit,
+        partialTracks: []
+    };
+    const seenKeys = new Set();
+    
+    const emit = () => onProgress?.({ ...state, partialTracks: [...state.partialTracks] });
+    
+    const addTracks = (tracks) => {
+        tracks
+            .filter(track => allowExplicit || !track.explicit)
+            .forEach(track => {
+                const key = getTrackKey(track);
+                if (seenKeys.has(key)) return;
+                seenKeys.add(key);
+                if (state.partialTracks.length < limit) state.partialTracks.push(track);
+            });
+        state.tracksCollected = seenKeys.size;
+    };
+    
+    return {
+        /**
+         * Move to a stage (see PROGRESS_STAGES)
+         */
+        stage(stage) {
+            state.stage = stage;
+            state.fraction = Math.max(state.fraction, PROGRESS_STAGES[stage]);
+            emit();
+        },
+        
+        /**
+         * Count queries that are about to run
+         */
+        addQueries(count) {
+            state.queriesTotal += count;
+        },
+        
+        /**
+         * Add tracks found without searching (e.g. the user's library)
+         */
+        addTracks,
+        
+        /**
+         * Record one search request (one query in one market)
+         * 
+         * @param {Object} result
+         * @param {boolean} result.queryDone - Whether the query is finished (found tracks or ran out of markets)
+         * @param {Array<Object>} result.tracks - Quality-filtered tracks it found
+         */
+        searchResult({ queryDone, tracks }) {
+            state.marketsTried += 1;
+            if (queryDone) state.queriesDone += 1;
+            addTracks(tracks);
+            
+            // Early stop means the query count may never be reached, so tracks count too
+            const searched = Math.min(1, Math.max(
+                state.queriesTotal ? state.queriesDone / state.queriesTotal : 0,
+                state.tracksCollected / (limit * 1.5)
+            ));
+            const { searching, filtering } = PROGRESS_STAGES;
+            state.fraction = Math.max(state.fraction, searching + (filtering - searching) * searched);
+            emit();
+        }
+    };
+};
+
 export class SpotifyAuth {
     /**
      * Initialize Spotify API service with OAuth 2.0 configuration
@@ -30,17 +467,40 @@ export class SpotifyAuth {
      * Sets up the necessary credentials and endpoints for both public catalog
      * access and user-specific operations like playlist creation.
      */
-    constructor() {
-        // OAuth 2.0 Configuration from environment variables
-        this.clientId = import.meta.env.VITE_SPOTIFY_API_KEY;
-        this.clientSecret = import.meta.env.VITE_SPOTIFY_CLIENT_SECRET;
-        this.redirectUri = 'https://weatherbeatz.netlify.app/';
+    constructor(config = appConfig.spotify) {
+        // OAuth 2.0 Configuration from environment variables (see appConfig.js)
+        this.clientId = config.clientId;
+        this.redirectUri = config.redirectUri;
+        
+        // Where catalog (client credentials) tokens come from:
+        // - 'proxy' (default): the spotify-token Netlify Function, so the client secret stays on the server
+        // - 'direct': exchanged in the browser with VITE_SPOTIFY_CLIENT_SECRET, which Vite inlines
+        //   into the bundle - only for local development; the startup check rejects it for deploys
+        this.tokenMode = config.tokenMode;
+        this.tokenEndpoint = config.tokenEndpoint;
+        this.clientSecret = config.clientSecret;
         
         // Comprehensive permissions for full app functionality
-        this.scope = 'playlist-modify-public playlist-modify-private user-read-private user-read-email user-library-read user-top-read playlist-read-private user-read-recently-played';
+        this.scope = config.scopes.join(' ');
+        
+        // Spotify accounts service (authorize and token endpoints) and Web API base URL
+        this.accountsUrl = config.accountsUrl;
+        this.baseUrl = config.apiUrl;
+        
+        // Decisions behind the most recent getRecommendations run
+        this.lastRecommendationDebug = null;
+        
+        // Signed-in user's top artists/tracks and saved library (see getTasteProfile)
+        this.tasteProfile = null;
+        
+        // Signed-in user's /me profile (see getCachedUserProfile)
+        this.userProfile = null;
         
-        // Spotify Web API base URL
-        this.baseUrl = 'https://api.spotify.com/v1';
+        // Concurrency and rate limits for search requests
+        this.scheduler = spotifyScheduler;
+        
+        // Search results keyed by query, market and limit
+        this.searchCache = spotifySearchCache;
     }
 
     // ========================================================================
@@ -99,39 +559,38 @@ export class SpotifyAuth {
     // ========================================================================
 
     /**
-     * Detect user's likely Spotify market based on browser language
+     * Work out the user's Spotify market
      * 
      * Spotify content availability varies by geographic region due to licensing.
-     * By detecting the user's market, we can optimize search results to show
-     * tracks that are actually available to them, improving playlist quality.
+     * Searching in the market the listener plays from keeps results to tracks
+     * they can actually play. See markets.js for the order: Settings, the
+     * signed-in profile's country, the weather location's country, the
+     * browser locale.
+     * 
+     * The profile is only fetched when signed in and no market is set in
+     * Settings; if it can't be loaded, the next source is used.
      * 
-     * @returns {string} Two-letter market code (ISO 3166-1 alpha-2)
+     * @param {Object} options
+     * @param {string} options.override - Market from Settings (AUTO_MARKET to resolve it)
+     * @param {string} options.locationCountry - Weather location's country (sys.country)
+     * @param {AbortSignal} options.signal - Cancels the profile request
+     * @returns {Promise<{market: string, source: string}>} Market code (ISO 3166-1 alpha-2) and its source
      */
-    detectUserMarket() {
-        try {
-            const language = navigator.language || navigator.userLanguage || 'en-US';
-            const locale = language.toLowerCase();
-            
-            // Map browser locales to Spotify market codes
-            const marketMap = {
-                'en-us': 'US', 'en-gb': 'GB', 'en-ca': 'CA', 'en-au': 'AU',
-                'fr-fr': 'FR', 'fr-ca': 'CA', 'de-de': 'DE', 'de-at': 'DE',
-                'es-es': 'ES', 'es-mx': 'MX', 'pt-br': 'BR', 'pt-pt': 'PT',
-                'it-it': 'IT', 'nl-nl': 'NL', 'sv-se': 'SE', 'no-no': 'NO',
-                'da-dk': 'DK', 'fi-fi': 'FI', 'pl-pl': 'PL', 'ru-ru': 'RU',
-                'ja-jp': 'JP', 'ko-kr': 'KR', 'zh-cn': 'CN', 'zh-tw': 'TW'
-            };
-            
-            const detectedMarket = marketMap[locale] || 
-                                 marketMap[locale.split('-')[0]] || 
-                                 'US';
-            
-            console.log(`🌍 Detected user market: ${detectedMarket} (from locale: ${locale})`);
-            return detectedMarket;
-        } catch (error) {
-            console.warn('Could not detect user market, defaulting to US:', error);
-            return 'US';
+    async resolveUserMarket({ override = AUTO_MARKET, locationCountry = null, signal } = {}) {
+        let profileCountry = null;
+
+        if (override === AUTO_MARKET && this.isLoggedIn()) {
+            try {
+                profileCountry = (await this.getCachedUserProfile({ signal })).country;
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('Could not read the profile country for the market:', error.message);
+            }
         }
+
+        const resolved = resolveMarket({ override, profileCountry, locationCountry });
+        console.log(`🌍 Market: ${resolved.market} (${resolved.source})`);
+        return resolved;
     }
 
     /**
@@ -166,34 +625,24 @@ export class SpotifyAuth {
      * Used for the core music discovery functionality that doesn't require
      * user-specific permissions.
      * 
+     * In 'proxy' token mode the exchange happens server-side (see
+     * requestProxyToken); in 'direct' mode the browser calls Spotify itself.
+     * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
      * @returns {Promise<string>} Client credentials access token
      */
-    async getClientCredentialsToken() {
-        console.log('🔑 Getting client credentials token...');
+    async getClientCredentialsToken({ signal } = {}) {
+        console.log(`🔑 Getting client credentials token (${this.tokenMode})...`);
         
-        if (!this.clientId) {
-            throw new Error('Spotify Client ID not configured');
+        if (this.tokenMode === 'direct' && !this.clientId) {
+            throw new ConfigError('Spotify Client ID not configured - set VITE_SPOTIFY_API_KEY');
         }
 
         try {
-            const response = await fetch('https://accounts.spotify.com/api/token', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Authorization': 'Basic ' + btoa(this.clientId + ':' + (this.clientSecret || ''))
-                },
-                body: new URLSearchParams({
-                    grant_type: 'client_credentials'
-                })
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Client credentials failed:', errorText);
-                throw new Error(`Failed to get client credentials token: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const data = this.tokenMode === 'proxy'
+                ? await this.requestProxyToken({ signal })
+                : await this.requestDirectToken({ signal });
             
             // Store in sessionStorage and memory for performance and persistence
             sessionStorage.setItem('spotify_client_access_token', data.access_token);
@@ -211,15 +660,83 @@ export class SpotifyAuth {
         }
     }
 
+    /**
+     * Fetch a catalog token from the spotify-token function
+     * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<Object>} { access_token, expires_in }
+     * @throws {ConfigError} When the function is missing or has no credentials configured
+     */
+    async requestProxyToken({ signal } = {}) {
+        const response = await fetchWithNetworkErrors(this.tokenEndpoint, { signal }, 'the token service');
+
+        // The SPA fallback answers unknown paths with index.html, so check the type too
+        const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+
+        if (!response.ok || !isJson) {
+            const details = isJson ? await response.json().catch(() => ({})) : {};
+            console.error('Token proxy failed:', response.status, details.error);
+
+            if (response.status === 429) {
+                throw createResponseError(response, 'Spotify is rate limiting token requests');
+            }
+            if (response.status === 500 || response.status === 404 || !isJson) {
+                throw new ConfigError(details.error || `Spotify token endpoint ${this.tokenEndpoint} is not available - check that the spotify-token function is deployed (or VITE_SPOTIFY_TOKEN_ENDPOINT)`, { status: response.status });
+            }
+            throw createResponseError(response, details.error || `Failed to get client credentials token: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Exchange the app credentials for a catalog token directly with Spotify
+     * 
+     * Only used in 'direct' token mode, which ships the client secret to the browser.
+     * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<Object>} { access_token, expires_in }
+     */
+    async requestDirectToken({ signal } = {}) {
+        const response = await fetchWithNetworkErrors(`${this.accountsUrl}/api/token`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Authorization': 'Basic ' + btoa(this.clientId + ':' + (this.clientSecret || ''))
+            },
+            body: new URLSearchParams({
+                grant_type: 'client_credentials'
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('Client credentials failed:', errorText);
+            
+            // Rejected credentials mean the app's client ID/secret are wrong
+            if (response.status === 400 || response.status === 401) {
+                throw new ConfigError(`Spotify rejected the app's credentials (${response.status}) - check VITE_SPOTIFY_API_KEY and VITE_SPOTIFY_CLIENT_SECRET`, { status: response.status });
+            }
+            throw createResponseError(response, `Failed to get client credentials token: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
     /**
      * Get valid client credentials token with automatic renewal
      * 
      * Checks token validity and automatically renews if expired.
      * Implements dual caching (memory + sessionStorage) for optimal performance.
      * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
      * @returns {Promise<string>} Valid client credentials access token
      */
-    async getValidClientToken() {
+    async getValidClientToken({ signal } = {}) {
         // Check memory first, then sessionStorage
         let accessToken = this.clientAccessToken || sessionStorage.getItem('spotify_client_access_token');
         let tokenExpiry = this.clientTokenExpiry || parseInt(sessionStorage.getItem('spotify_client_token_expiry') || '0');
@@ -233,7 +750,7 @@ export class SpotifyAuth {
             return accessToken;
         }
 
-        return await this.getClientCredentialsToken();
+        return await this.getClientCredentialsToken({ signal });
     }
 
     // ========================================================================
@@ -244,17 +761,21 @@ export class SpotifyAuth {
      * Start OAuth 2.0 authorization flow with PKCE
      * 
      * Initiates user authentication for playlist creation and account access.
-     * Uses PKCE for enhanced security in browser-based applications.
+     * Uses PKCE for enhanced security in browser-based applications, and a
+     * random state value (checked by handleAuthCallback) so a callback that
+     * this tab didn't ask for is rejected (CSRF protection).
      */
     async authorize() {
         const codeVerifier = this.generateRandomString(64);
         const hashed = await this.sha256(codeVerifier);
         const codeChallenge = this.base64urlencode(hashed);
+        const state = this.generateRandomString(32);
 
-        // Store code verifier for later token exchange
+        // Store code verifier and state for the callback
         sessionStorage.setItem('spotify_code_verifier', codeVerifier);
+        sessionStorage.setItem(AUTH_REQUEST_KEY, JSON.stringify({ state, startedAt: Date.now() }));
 
-        const authUrl = new URL("https://accounts.spotify.com/authorize");
+        const authUrl = new URL(`${this.accountsUrl}/authorize`);
         const params = {
             response_type: 'code',
             client_id: this.clientId,
@@ -262,6 +783,7 @@ export class SpotifyAuth {
             code_challenge_method: 'S256',
             code_challenge: codeChallenge,
             redirect_uri: this.redirectUri,
+            state,
         };
 
         authUrl.search = new URLSearchParams(params).toString();
@@ -274,16 +796,19 @@ export class SpotifyAuth {
      * Completes the OAuth flow by exchanging the authorization code
      * received from Spotify for usable access and refresh tokens.
      * 
+     * @param {string} code - Authorization code from the redirect
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
      * @returns {Promise<string>} User access token
      */
-    async getAccessToken(code) {
+    async getAccessToken(code, { signal } = {}) {
         const codeVerifier = sessionStorage.getItem('spotify_code_verifier');
         
         if (!codeVerifier) {
-            throw new Error('No code verifier found. Please restart the authentication process.');
+            throw new AuthError('No code verifier found. Please restart the authentication process.');
         }
 
-        const response = await fetch('https://accounts.spotify.com/api/token', {
+        const response = await fetchWithNetworkErrors(`${this.accountsUrl}/api/token`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
@@ -295,25 +820,33 @@ export class SpotifyAuth {
                 redirect_uri: this.redirectUri,
                 code_verifier: codeVerifier,
             }),
+            signal
         });
 
         if (!response.ok) {
             const errorText = await response.text();
+            console.error('Token exchange failed:', errorText);
             sessionStorage.removeItem('spotify_code_verifier');
-            throw new Error(`Failed to get access token: ${response.status} - ${errorText}`);
+            
+            // invalid_grant: the code expired, was already exchanged or doesn't match the verifier
+            if (response.status === 400 && errorText.includes('invalid_grant')) {
+                throw new AuthError('This Spotify login has expired or was already used - please connect again', { status: 400 });
+            }
+            throw response.status === 400
+                ? new AuthError(`Failed to get access token: ${response.status} - ${errorText}`, { status: 400 })
+                : createResponseError(response, `Failed to get access token: ${response.status} - ${errorText}`);
         }
 
         const data = await response.json();
         
-        // Store tokens for persistence across page reloads
-        sessionStorage.setItem('spotify_access_token', data.access_token);
-        sessionStorage.setItem('spotify_refresh_token', data.refresh_token);
-        sessionStorage.setItem('spotify_token_expiry', (Date.now() + (data.expires_in * 1000)).toString());
-        
-        // Also store in memory for current session
-        this.accessToken = data.access_token;
-        this.refreshToken = data.refresh_token;
-        this.tokenExpiry = Date.now() + (data.expires_in * 1000);
+        // Shared with every instance and tab; persisted with "stay signed in" (see tokenStore.js)
+        setUserTokens({
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token,
+            expiresAt: Date.now() + (data.expires_in * 1000),
+            scope: data.scope
+        });
+        this.scheduleProactiveRefresh();
         
         // Clean up one-time code verifier
         sessionStorage.removeItem('spotify_code_verifier');
@@ -322,21 +855,145 @@ export class SpotifyAuth {
     }
 
     /**
-     * Refresh expired user access token
+     * Complete the authorization flow from the redirect's query string
+     * 
+     * Checks, in order:
+     * 1. The state matches the login this tab started (otherwise the callback
+     *    is forged or from another tab, and is rejected)
+     * 2. The callback hasn't been handled before (a reloaded or replayed URL);
+     *    when it has and the user is signed in, it's quietly ignored
+     * 3. The login didn't take longer than AUTH_REQUEST_TTL
+     * 4. The user granted access (error=access_denied → ConsentDeniedError)
+     * 
+     * Only then is the code exchanged (see getAccessToken). Each state can be
+     * used once, whatever the outcome.
+     * 
+     * @param {string} search - Query string of the page (window.location.search)
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the token exchange
+     * @returns {Promise<boolean>} true once signed in, false when the URL isn't an OAuth callback
+     * @throws {ConsentDeniedError} When the user declined on Spotify's permission screen
+     * @throws {AuthError} When the callback is forged, replayed or expired, or the exchange fails
+     */
+    async handleAuthCallback(search, { signal } = {}) {
+        const params = new URLSearchParams(search);
+        const code = params.get('code');
+        const error = params.get('error');
+        const state = params.get('state');
+
+        if (!code && !error) return false;
+
+        const key = `${code || error}|${state}`;
+        if (!authCallbacks.has(key)) {
+            const handling = this.completeAuthCallback({ code, error, state }, { signal });
+            authCallbacks.set(key, handling);
+        }
+        return authCallbacks.get(key);
+    }
+
+    /**
+     * Verify and complete one callback (see handleAuthCallback)
+     * 
+     * @param {Object} callback - { code, error, state } from the redirect
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the token exchange
+     * @returns {Promise<boolean>} true once signed in
+     */
+    async completeAuthCallback({ code, error, state }, { signal } = {}) {
+        let request = null;
+        try {
+            request = JSON.parse(sessionStorage.getItem(AUTH_REQUEST_KEY) || 'null');
+        } catch {
+            request = null;
+        }
+
+        let usedStates = [];
+        try {
+            usedStates = JSON.parse(sessionStorage.getItem(USED_AUTH_STATES_KEY) || '[]');
+        } catch {
+            usedStates = [];
+        }
+
+        if (state && usedStates.includes(state)) {
+            if (this.isLoggedIn()) {
+                console.log('↩️ Ignoring an already handled Spotify callback');
+                return true;
+            }
+            throw new AuthError('This Spotify login was already used - please connect again');
+        }
+
+        if (!request || !state || request.state !== state) {
+            console.warn('⚠️ Spotify callback state does not match the login started here - ignoring it');
+            throw new AuthError('This Spotify login wasn\'t started here - please connect again');
+        }
+
+        // The state is spent whatever happens next
+        sessionStorage.removeItem(AUTH_REQUEST_KEY);
+        sessionStorage.setItem(USED_AUTH_STATES_KEY, JSON.stringify([...usedStates, state].slice(-MAX_USED_AUTH_STATES)));
+
+        if (error) {
+            sessionStorage.removeItem('spotify_code_verifier');
+            if (error === 'access_denied') {
+                throw new ConsentDeniedError('Spotify access wasn\'t granted, so playlists can\'t be saved to your account. Connect again whenever you\'re ready.');
+            }
+            throw new AuthError(`Spotify login failed: ${error}`);
+        }
+
+        if (Date.now() - request.startedAt > AUTH_REQUEST_TTL) {
+            sessionStorage.removeItem('spotify_code_verifier');
+            throw new AuthError('The Spotify login took too long - please connect again');
+        }
+
+        await this.getAccessToken(code, { signal });
+        return true;
+    }
+
+    /**
+     * Refresh the user access token
      * 
-     * Automatically renews user access tokens using the refresh token.
-     * Provides seamless experience without requiring re-authentication.
+     * Every caller in this tab shares one refresh: concurrent requests that
+     * find the token expiring wait for the same exchange instead of each
+     * spending the refresh token. Across tabs, a Web Lock makes refreshes
+     * take turns, and a tab that finds fresh tokens from another tab (see
+     * tokenStore.js) uses them instead of refreshing again.
      * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Stops this caller waiting (the shared refresh carries on)
      * @returns {Promise<string>} New access token
+     * @throws {AuthError} When there is no refresh token or Spotify rejects it (the user is signed out)
      */
-    async refreshAccessToken() {
-        let refreshToken = this.refreshToken || sessionStorage.getItem('spotify_refresh_token');
-        
+    async refreshAccessToken({ signal } = {}) {
+        if (!userTokenRefresh) {
+            const refresh = () => this.requestTokenRefresh();
+            userTokenRefresh = (navigator.locks ? navigator.locks.request(REFRESH_LOCK, refresh) : refresh())
+                .finally(() => { userTokenRefresh = null; });
+        }
+        return untilAborted(userTokenRefresh, signal);
+    }
+
+    /**
+     * Exchange the refresh token for new tokens (see refreshAccessToken)
+     * 
+     * Falls back to the persisted "stay signed in" token when this tab has
+     * none yet, e.g. in a new browser session.
+     * 
+     * @returns {Promise<string>} New access token
+     */
+    async requestTokenRefresh() {
+        const current = getUserTokens();
+
+        // Another tab refreshed while this one waited for the lock
+        if (current.accessToken && Date.now() < current.expiresAt - REFRESH_MARGIN) {
+            this.scheduleProactiveRefresh();
+            return current.accessToken;
+        }
+
+        const refreshToken = current.refreshToken || await loadPersistedRefreshToken();
         if (!refreshToken) {
-            throw new Error('No refresh token available');
+            throw new AuthError('No refresh token available');
         }
 
-        const response = await fetch('https://accounts.spotify.com/api/token', {
+        const response = await fetchWithNetworkErrors(`${this.accountsUrl}/api/token`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
@@ -345,60 +1002,83 @@ export class SpotifyAuth {
                 client_id: this.clientId,
                 grant_type: 'refresh_token',
                 refresh_token: refreshToken,
-            }),
+            })
         });
 
         if (!response.ok) {
             const errorText = await response.text();
-            // Clear invalid tokens
-            this.logout();
-            throw new Error(`Failed to refresh token: ${response.status} - ${errorText}`);
+            
+            // A rejected refresh token means signing in again; anything else may pass
+            if (response.status === 400 || response.status === 401) {
+                this.logout();
+                throw new AuthError(`Failed to refresh token: ${response.status} - ${errorText}`, { status: response.status });
+            }
+            throw createResponseError(response, `Failed to refresh token: ${response.status} - ${errorText}`);
         }
 
         const data = await response.json();
         
-        // Store new tokens
-        sessionStorage.setItem('spotify_access_token', data.access_token);
-        sessionStorage.setItem('spotify_token_expiry', (Date.now() + (data.expires_in * 1000)).toString());
-        
-        this.accessToken = data.access_token;
-        this.tokenExpiry = Date.now() + (data.expires_in * 1000);
-        
-        if (data.refresh_token) {
-            sessionStorage.setItem('spotify_refresh_token', data.refresh_token);
-            this.refreshToken = data.refresh_token;
-        }
+        setUserTokens({
+            accessToken: data.access_token,
+            // Spotify may rotate the refresh token
+            refreshToken: data.refresh_token || refreshToken,
+            expiresAt: Date.now() + (data.expires_in * 1000),
+            scope: data.scope || current.scope
+        });
+        this.scheduleProactiveRefresh();
 
         return data.access_token;
     }
 
+    /**
+     * Refresh the user token REFRESH_MARGIN before it expires
+     * 
+     * One timer for the whole tab, rescheduled after every token change made
+     * here, so API calls don't stall on a refresh and a long-open page stays
+     * signed in.
+     */
+    scheduleProactiveRefresh() {
+        clearTimeout(proactiveRefreshTimer);
+        const { refreshToken, expiresAt } = getUserTokens();
+        if (!refreshToken || !expiresAt) return;
+
+        proactiveRefreshTimer = setTimeout(() => {
+            proactiveRefreshTimer = null;
+            if (!getUserTokens().refreshToken) return;
+            this.refreshAccessToken().catch(error => {
+                console.warn('Background token refresh failed:', error.message);
+            });
+        }, Math.max(expiresAt - REFRESH_MARGIN - Date.now(), 0));
+    }
+
     /**
      * Get current valid user access token with automatic refresh
      * 
      * Primary method for obtaining user tokens throughout the application.
-     * Handles token validation and automatic renewal seamlessly.
+     * Tokens within REFRESH_MARGIN of expiring are refreshed first; if that
+     * refresh can't reach Spotify, the still-valid token is used.
      * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
      * @returns {Promise<string>} Valid user access token
      */
-    async getValidAccessToken() {
-        // Check memory first, then sessionStorage
-        let accessToken = this.accessToken || sessionStorage.getItem('spotify_access_token');
-        let tokenExpiry = this.tokenExpiry || parseInt(sessionStorage.getItem('spotify_token_expiry') || '0');
+    async getValidAccessToken({ signal } = {}) {
+        const { accessToken, expiresAt } = getUserTokens();
 
-        if (accessToken && tokenExpiry && Date.now() < tokenExpiry) {
-            // Update memory cache if loaded from sessionStorage
-            if (!this.accessToken) {
-                this.accessToken = accessToken;
-                this.tokenExpiry = tokenExpiry;
-                this.refreshToken = sessionStorage.getItem('spotify_refresh_token');
-            }
+        if (accessToken && Date.now() < expiresAt - REFRESH_MARGIN) {
+            // Tokens loaded from sessionStorage after a reload have no timer yet
+            if (!proactiveRefreshTimer) this.scheduleProactiveRefresh();
             return accessToken;
         }
 
         try {
-            return await this.refreshAccessToken();
+            return await this.refreshAccessToken({ signal });
         } catch (error) {
-            throw new Error('Authentication required');
+            if (error.name === 'AbortError') throw error;
+            if (!(error instanceof AuthError) && accessToken && Date.now() < expiresAt) return accessToken;
+            // Network trouble isn't a reason to ask the user to sign in again
+            if (error instanceof NetworkError) throw error;
+            throw new AuthError('Authentication required', { cause: error });
         }
     }
 
@@ -408,28 +1088,71 @@ export class SpotifyAuth {
      * @returns {boolean} True if user has valid authentication
      */
     isLoggedIn() {
-        const accessToken = this.accessToken || sessionStorage.getItem('spotify_access_token');
-        const tokenExpiry = this.tokenExpiry || parseInt(sessionStorage.getItem('spotify_token_expiry') || '0');
-        
-        return accessToken && tokenExpiry && Date.now() < tokenExpiry;
+        const { accessToken, expiresAt } = getUserTokens();
+        return Boolean(accessToken) && Date.now() < expiresAt;
+    }
+
+    /**
+     * Permissions the user granted at login
+     * 
+     * Spotify reports them with each token; the user may have granted fewer
+     * than this.scope asked for.
+     * 
+     * @returns {Array<string>} Granted scopes (empty when signed out)
+     */
+    getGrantedScopes() {
+        const { accessToken, scope } = getUserTokens();
+        return accessToken && scope ? scope.split(' ').filter(Boolean) : [];
+    }
+
+    /**
+     * @returns {boolean} Whether a "stay signed in" login is waiting to be restored
+     */
+    canRestoreSession() {
+        return hasPersistedLogin();
+    }
+
+    /**
+     * Sign back in from a "stay signed in" login kept on this device
+     * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<boolean>} Whether the user is now signed in
+     * @throws {NetworkError} When Spotify can't be reached (the login is kept for later)
+     */
+    async restoreSession({ signal } = {}) {
+        if (this.isLoggedIn()) return true;
+        if (!this.canRestoreSession()) return false;
+
+        try {
+            await this.getValidAccessToken({ signal });
+            console.log('🔓 Restored the saved Spotify login');
+            return true;
+        } catch (error) {
+            if (error instanceof AuthError) return false;
+            throw error;
+        }
     }
 
     /**
      * Clear all authentication tokens and log out user
+     * 
+     * Signs out every open tab and forgets a "stay signed in" login.
      */
     logout() {
+        clearTimeout(proactiveRefreshTimer);
+        proactiveRefreshTimer = null;
+        clearUserTokens();
+        
         // Clear memory
-        this.accessToken = null;
-        this.refreshToken = null;
-        this.tokenExpiry = null;
         this.clientAccessToken = null;
         this.clientTokenExpiry = null;
+        this.tasteProfile = null;
+        this.userProfile = null;
         
         // Clear sessionStorage
-        sessionStorage.removeItem('spotify_access_token');
-        sessionStorage.removeItem('spotify_refresh_token');
-        sessionStorage.removeItem('spotify_token_expiry');
         sessionStorage.removeItem('spotify_code_verifier');
+        sessionStorage.removeItem(AUTH_REQUEST_KEY);
         sessionStorage.removeItem('spotify_client_access_token');
         sessionStorage.removeItem('spotify_client_token_expiry');
     }
@@ -439,46 +1162,91 @@ export class SpotifyAuth {
     // ========================================================================
 
     /**
-     * Search Spotify catalog for tracks with enhanced error handling
+     * Search Spotify catalog for tracks, using the search cache
      * 
      * Core search functionality that powers the recommendation system.
+     * Results are cached by query, market and limit; only cache misses reach
+     * the network, through the request scheduler (so they count against the
+     * concurrency and rate limits and are retried after a 429).
+     * 
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum tracks (capped at 50)
+     * @param {string} market - Market code
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<Array<Object>>} Tracks tagged with search_market and search_query
+     */
+    async searchTracks(query, limit = 20, market = 'US', { signal } = {}) {
+        const cappedLimit = Math.min(limit, 50);
+        const cacheKey = getSearchCacheKey(query, market, cappedLimit);
+        
+        const cached = await this.searchCache.get(cacheKey);
+        if (cached !== undefined) {
+            console.log(`💾 Cached results: ${cached.length} tracks for "${query}" in ${market}`);
+            return cached;
+        }
+        
+        const tracks = await this.scheduler.schedule(
+            requestSignal => this.fetchSearchResults(query, cappedLimit, market, { signal: requestSignal }),
+            { signal }
+        );
+        
+        // Written in the background; a storage failure only costs a future cache miss
+        this.searchCache.set(cacheKey, tracks);
+        return tracks;
+    }
+
+    /**
+     * Request tracks from the /search endpoint
+     * 
      * Includes regional market optimization and comprehensive error handling
      * to ensure reliable music discovery across different geographic regions.
      * 
+     * A 429 throws a RateLimitError (with Retry-After) so the request
+     * scheduler can pause and retry; 403 throws a RegionError.
+     * 
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum tracks (at most 50)
+     * @param {string} market - Market code
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<Array<Object>>} Slimmed tracks tagged with search_market and search_query
      */
-    async searchTracks(query, limit = 20, market = 'US') {
+    async fetchSearchResults(query, limit, market, { signal } = {}) {
         console.log(`🔍 Searching for: "${query}" in market: ${market}`);
         
         try {
-            const accessToken = await this.getValidClientToken();
+            const accessToken = await this.getValidClientToken({ signal });
             
             const params = new URLSearchParams({
                 q: query,
                 type: 'track',
-                limit: Math.min(limit, 50),
+                limit,
                 market: market
             });
 
-            const response = await fetch(`${this.baseUrl}/search?${params}`, {
-                headers: { 'Authorization': `Bearer ${accessToken}` }
+            const response = await fetchWithNetworkErrors(`${this.baseUrl}/search?${params}`, {
+                headers: { 'Authorization': `Bearer ${accessToken}` },
+                signal
             });
 
             if (!response.ok) {
                 const errorText = await response.text();
                 console.error(`Search failed: ${response.status} - ${errorText}`);
                 
-                // Handle specific errors
-                if (response.status === 429) {
-                    throw new Error('Rate limited by Spotify - please wait and try again');
-                } else if (response.status === 401) {
-                    throw new Error('Authentication failed - please check API credentials');
-                } else if (response.status === 403) {
-                    throw new Error('Access forbidden - this may be due to regional restrictions');
-                } else if (response.status === 400 && errorText.includes('market')) {
+                // Unsupported market: try the next one
+                if (response.status === 400 && errorText.includes('market')) {
                     console.warn(`Market ${market} not supported for this query`);
+                    return [];
+                }
+                
+                if (response.status === 401) {
+                    // Drop the cached client token so the next request fetches a new one
+                    this.clientAccessToken = null;
+                    sessionStorage.removeItem('spotify_client_access_token');
                 }
                 
-                return [];
+                throw createResponseError(response, `Search failed for "${query}" in ${market}: ${response.status}`, RegionError);
             }
 
             const data = await response.json();
@@ -489,14 +1257,16 @@ export class SpotifyAuth {
             return tracks
                 .filter(track => track && track.id && track.name && track.artists && track.artists.length > 0)
                 .map(track => ({
-                    ...track,
+                    ...slimTrack(track),
                     search_market: market,
                     search_query: query,
                     available_markets: track.available_markets || []
                 }));
 
         } catch (error) {
-            console.error(`Error searching for "${query}" in ${market}:`, error);
+            if (error.name !== 'AbortError') {
+                console.error(`Error searching for "${query}" in ${market}:`, error);
+            }
             throw error;
         }
     }
@@ -512,84 +1282,123 @@ export class SpotifyAuth {
      * based on weather conditions. Uses a sophisticated multi-strategy approach:
      * 
      * 1. Maps weather to music characteristics (genres, moods, artists)
-     * 2. Generates diverse search queries from multiple angles
-     * 3. Executes searches across regional markets for availability
-     * 4. Filters results for quality and appropriateness
-     * 5. Ensures artist variety and removes duplicates
-     * 6. Applies user preferences (explicit content filtering)
+     * 2. Turns temperature, wind, humidity, cloud cover and precipitation
+     *    into continuous energy/warmth/intensity targets
+     * 3. Generates diverse search queries, weighted towards those targets
+     * 4. Executes searches across regional markets for availability
+     * 5. Filters results for quality, appropriateness and the user's blocklist
+     * 6. Ensures artist variety and removes duplicates
+     * 7. Applies user preferences (explicit content filtering)
+     * 8. Blends in the signed-in user's taste (top artists/tracks, saved library)
+     *    according to the personalization strength
+     * 9. Orders the final tracks by how well they match the targets
+     * 
+     * The decisions behind each run are kept in this.lastRecommendationDebug
+     * (see getRecommendationDebug).
      * 
+     * @param {Object} weatherData - Full getWeather payload
+     * @param {number} limit - Number of tracks to return
+     * @param {boolean} allowExplicit - Whether explicit tracks are allowed
+     * @param {string} units - Units weatherData was requested in
+     * @param {Object} options - Extra preferences
+     * @param {Object} options.blocked - { blockedArtists, blockedGenres, blockedKeywords } from settings
+     * @param {string} options.market - Market from settings (AUTO_MARKET, the default, resolves it; see resolveUserMarket)
+     * @param {number} options.personalization - Share of the playlist (0 to 1) seeded from the
+     *   signed-in user's taste; ignored for anonymous users, who get catalog-only results
+     * @param {AbortSignal} options.signal - Cancels any searches still running
+     * @param {Function} options.onProgress - Receives progress snapshots (stage, queries
+     *   done, markets tried, tracks collected, partial results); see createProgressReporter
      */
-    async getRecommendations(weatherMain, limit = 25, allowExplicit = true) {
+    async getRecommendations(weatherData, limit = 25, allowExplicit = true, units = 'imperial', options = {}) {
+        const weatherMain = weatherData?.weather?.[0]?.main || 'Clear';
+        
         console.log('=== SEARCH-BASED PLAYLIST GENERATION ===');
         console.log(`🌍 Weather: ${weatherMain}, Target: ${limit} tracks, Allow Explicit: ${allowExplicit}`);
         
         try {
-            let allTracks = [];
-            const strategy = this.getWeatherSearchStrategies(weatherMain);
+            const strategy = this.getWeatherSearchStrategies(weatherMain, getSolarPhase(weatherData));
+            const blocklist = createBlocklist(options.blocked);
+            
+            // Continuous targets from the full weather reading
+            const { inputs, targets, reasons } = getWeatherTargets(weatherData, units);
+            console.log('🎚️ Weather targets:', targets);
+            
+            const debug = {
+                weatherMain,
+                inputs,
+                targets,
+                reasons,
+                queries: [],
+                blocked: { queries: [], tracks: [] },
+                picks: []
+            };
+            this.lastRecommendationDebug = debug;
+            const cacheBefore = this.searchCache.getStats();
+            
+            const progress = createProgressReporter(options.onProgress, limit, allowExplicit);
+            progress.stage('starting');
             
-            // Detect user's market
-            const userMarket = this.detectUserMarket();
+            // Resolve user's market (Settings, profile, weather location, locale)
+            const { market: userMarket, source: marketSource } = await this.resolveUserMarket({
+                override: options.market,
+                locationCountry: weatherData?.sys?.country,
+                signal: options.signal
+            });
             const marketList = this.getMarketStrategy(userMarket);
+            debug.market = { market: userMarket, source: marketSource };
             
             console.log(`🎯 Primary market: ${userMarket}`);
             
             // Build comprehensive search queries
-            const searchQueries = this.buildSearchQueries(strategy, weatherMain);
-            console.log(`🚀 Starting search with ${searchQueries.length} queries...`);
-            
-            // Execute searches with rate limiting
-            let queryIndex = 0;
+            const rankedQueries = this.buildSearchQueries(strategy, weatherMain, targets, blocklist, debug.blocked.queries);
+            const searchQueries = rankedQueries.map(entry => entry.query);
             const maxQueries = Math.min(searchQueries.length, 20); // Limit to prevent rate limiting
+            debug.queries = rankedQueries.slice(0, maxQueries);
+            progress.addQueries(maxQueries);
             
-            while (allTracks.length < limit * 1.5 && queryIndex < maxQueries) {
-                const query = searchQueries[queryIndex];
-                let querySuccess = false;
-                
-                // Try primary market first, then fallbacks
-                for (let marketIndex = 0; marketIndex < Math.min(marketList.length, 3) && !querySuccess; marketIndex++) {
-                    const market = marketList[marketIndex];
-                    
-                    try {
-                        console.log(`🔍 Query ${queryIndex + 1}/${maxQueries}: "${query}" in ${market}`);
-                        
-                        const results = await this.searchTracks(query, 50, market);
-                        
-                        if (results.length > 0) {
-                            // Filter for quality
-                            const qualityTracks = this.filterTracksByQuality(results);
-                            allTracks.push(...qualityTracks);
-                            
-                            console.log(`✅ Added ${qualityTracks.length} tracks (Total: ${allTracks.length})`);
-                            querySuccess = true;
-                        }
-                        
-                        // Rate limiting delay
-                        await this.delay(200);
-                        
-                    } catch (error) {
-                        console.error(`Search failed for "${query}" in ${market}:`, error);
-                        
-                        // If rate limited, wait longer
-                        if (error.message.includes('Rate limited')) {
-                            console.log('⏳ Rate limited - waiting 2 seconds...');
-                            await this.delay(2000);
-                        }
-                        
-                        continue;
-                    }
-                }
-                
-                queryIndex++;
+            // Personal seeds for signed-in users (null keeps catalog-only behavior)
+            progress.stage('personalizing');
+            const personal = await this.getPersonalSeeds(strategy, targets, blocklist, options.personalization, limit, debug, {
+                signal: options.signal
+            });
+            let personalTracks = [];
+            
+            progress.stage('searching');
+            if (personal) {
+                progress.addQueries(personal.queries.length);
+                const libraryTracks = this.filterTracksByQuality(personal.libraryTracks, blocklist, debug.blocked.tracks);
+                progress.addTracks(libraryTracks);
                 
-                // Progressive delay to avoid rate limiting
-                await this.delay(300);
+                const found = await this.runSearchQueries(
+                    personal.queries.map(entry => entry.query), personal.quota * 1.5, marketList, blocklist, debug.blocked.tracks,
+                    { allowExplicit, signal: options.signal, onProgress: progress.searchResult }
+                );
+                personalTracks = [
+                    ...libraryTracks,
+                    ...found.map(track => ({ ...track, personal_source: 'search' }))
+                ];
+                console.log(`💚 Personal candidates: ${personalTracks.length} tracks`);
             }
             
+            // Execute searches through the request scheduler
+            console.log(`🚀 Starting search with ${maxQueries} of ${searchQueries.length} queries...`);
+            
+            // Catalog fills whatever the personal candidates can't cover
+            const catalogTarget = personal ? limit - Math.min(personal.quota, personalTracks.length) : limit;
+            const catalogTracks = await this.runSearchQueries(
+                searchQueries.slice(0, maxQueries), catalogTarget * 1.5, marketList, blocklist, debug.blocked.tracks,
+                { allowExplicit, signal: options.signal, onProgress: progress.searchResult }
+            );
+            
+            // Personal tracks go first so they win when deduplicating
+            const allTracks = [...personalTracks, ...catalogTracks];
+            
             if (allTracks.length === 0) {
-                throw new Error('Unable to find tracks for this weather. This may be due to API restrictions or regional limitations. Please try again.');
+                throw new RegionError('Unable to find tracks for this weather. This may be due to API restrictions or regional limitations. Please try again.');
             }
 
             // Process and finalize playlist
+            progress.stage('filtering');
             console.log(`📦 Raw tracks collected: ${allTracks.length}`);
             
             // Remove duplicates
@@ -604,25 +1413,209 @@ export class SpotifyAuth {
             }
             
             if (filteredTracks.length === 0) {
-                throw new Error('No tracks available after filtering. Try enabling explicit content.');
+                throw new NoResultsError('No tracks available after filtering. Try enabling explicit content.');
+            }
+            
+            // Score against the weather targets, then keep variety in score order
+            progress.stage('scoring');
+            let scoredTracks = filteredTracks
+                .map(track => ({ track, ...scoreTrack(track, targets) }))
+                .sort((a, b) => b.score - a.score);
+            const scoreById = new Map(scoredTracks.map(entry => [entry.track.id, entry]));
+            
+            // Reserve the personal share: best-matching personal tracks first, catalog fills the rest
+            if (personal) {
+                const personalIds = new Set(
+                    this.ensureArtistVariety(scoredTracks.filter(entry => entry.track.personal_source).map(entry => entry.track), false)
+                        .slice(0, personal.quota)
+                        .map(track => track.id)
+                );
+                scoredTracks = [
+                    ...scoredTracks.filter(entry => personalIds.has(entry.track.id)),
+                    ...scoredTracks.filter(entry => !entry.track.personal_source)
+                ];
+                debug.personalization.picked = personalIds.size;
             }
             
-            // Ensure variety and select final tracks
-            const diverseTracks = this.ensureArtistVariety(filteredTracks);
-            const shuffledTracks = this.shuffleArray(diverseTracks);
-            const finalTracks = shuffledTracks.slice(0, limit);
+            const diverseTracks = this.ensureArtistVariety(scoredTracks.map(entry => entry.track), false);
+            const finalTracks = diverseTracks
+                .slice(0, limit)
+                .sort((a, b) => scoreById.get(b.id).score - scoreById.get(a.id).score);
+            
+            debug.picks = finalTracks.map(track => {
+                const { score, profile, components } = scoreById.get(track.id);
+                return {
+                    id: track.id,
+                    name: track.name,
+                    artist: track.artists[0]?.name,
+                    query: track.search_query,
+                    market: track.search_market,
+                    source: track.personal_source ? `personal (${track.personal_source})` : 'catalog',
+                    profile,
+                    score,
+                    components
+                };
+            });
 
             console.log(`🎉 SUCCESS: Generated ${finalTracks.length} tracks for ${weatherMain} weather`);
             console.log(`📈 Artist variety: ${new Set(finalTracks.map(t => t.artists[0]?.name)).size} different artists`);
             
+            // Search cache use during this run
+            const cacheAfter = this.searchCache.getStats();
+            debug.cache = {
+                hits: cacheAfter.hits - cacheBefore.hits,
+                misses: cacheAfter.misses - cacheBefore.misses
+            };
+            console.log(`💾 Search cache: ${debug.cache.hits} hits, ${debug.cache.misses} misses`);
+            console.log('🧪 Recommendation debug:', debug);
+            progress.stage('done');
+            
             return finalTracks;
 
         } catch (error) {
-            console.error('💥 Search-based playlist generation failed:', error);
+            if (error.name === 'AbortError') {
+                console.log('🛑 Playlist generation cancelled');
+            } else {
+                console.error('💥 Search-based playlist generation failed:', error);
+            }
             throw error;
         }
     }
 
+    /**
+     * Run search queries until enough tracks are collected
+     * 
+     * Queries go through searchTracks (cache first, then the request
+     * scheduler), so several run at once while staying under Spotify's rate
+     * limits. Each query tries the primary
+     * market first, then up to two fallbacks. As soon as enough unique tracks
+     * that pass the quality, blocklist and explicit filters are collected,
+     * the remaining requests are cancelled.
+     * 
+     * Results keep the order of searchQueries regardless of which request
+     * finishes first.
+     * 
+     * A RegionError only skips to the next market. Rate limits (once the
+     * scheduler's retries are used up), auth, config and network errors
+     * affect every request, so they cancel the rest; the error is thrown
+     * only when no tracks were collected before it.
+     * 
+     * @param {Array<string>} searchQueries - Queries in the order to try them
+     * @param {number} needed - Stop once this many usable tracks are collected
+     * @param {Array<string>} marketList - Markets from getMarketStrategy
+     * @param {Object} blocklist - Result of createBlocklist
+     * @param {Array<Object>} blockedLog - Receives every track removed by the blocklist
+     * @param {Object} options
+     * @param {boolean} options.allowExplicit - Whether explicit tracks count towards `needed`
+     * @param {AbortSignal} options.signal - Cancels every remaining search
+     * @param {Function} options.onProgress - Called after every request with { queryDone, tracks }
+     *   (see createProgressReporter's searchResult); not called for cancelled requests
+     * @returns {Promise<Array<Object>>} Quality-filtered tracks
+     * @throws {Error} The signal's reason when cancelled
+     * @throws {AppError} The first request-wide failure, when nothing was collected
+     */
+    async runSearchQueries(searchQueries, needed, marketList, blocklist, blockedLog, { allowExplicit = true, signal, onProgress } = {}) {
+        if (needed <= 0 || searchQueries.length === 0) return [];
+        
+        // Aborted on early stop, or when the caller cancels
+        const controller = new AbortController();
+        const cancel = () => controller.abort(getAbortError(signal));
+        if (signal?.aborted) cancel();
+        signal?.addEventListener('abort', cancel, { once: true });
+        
+        const resultsByQuery = searchQueries.map(() => []);
+        const usableKeys = new Set();
+        let fatalError = null;
+        const markets = marketList.slice(0, 3);
+        
+        const runQuery = async (query, queryIndex) => {
+            // Try primary market first, then fallbacks
+            for (const [marketIndex, market] of markets.entries()) {
+                const isLastMarket = marketIndex === markets.length - 1;
+                
+                try {
+                    console.log(`🔍 Query ${queryIndex + 1}/${searchQueries.length}: "${query}" in ${market}`);
+                    
+                    const results = await this.searchTracks(query, 50, market, { signal: controller.signal });
+                    
+                    if (results.length > 0) {
+                        // Filter for quality
+                        const qualityTracks = this.filterTracksByQuality(results, blocklist, blockedLog);
+                        resultsByQuery[queryIndex] = qualityTracks;
+                        
+                        // Count usable tracks the same way removeDuplicates does
+                        qualityTracks
+                            .filter(track => allowExplicit || !track.explicit)
+                            .forEach(track => usableKeys.add(getTrackKey(track)));
+                        
+                        console.log(`✅ Added ${qualityTracks.length} tracks (Usable: ${usableKeys.size}/${Math.ceil(needed)})`);
+                        onProgress?.({ queryDone: true, tracks: qualityTracks });
+                        
+                        if (usableKeys.size >= needed && !controller.signal.aborted) {
+                            console.log('🏁 Enough tracks collected - cancelling remaining searches');
+                            controller.abort();
+                        }
+                        return;
+                    }
+                    
+                    onProgress?.({ queryDone: isLastMarket, tracks: [] });
+                } catch (error) {
+                    if (controller.signal.aborted) return;
+                    
+                    const affectsAll = error instanceof RateLimitError || error instanceof AuthError
+                        || error instanceof ConfigError || error instanceof NetworkError;
+                    if (affectsAll) {
+                        fatalError = error;
+                        controller.abort();
+                        return;
+                    }
+                    
+                    console.error(`Search failed for "${query}" in ${market}:`, error);
+                    onProgress?.({ queryDone: isLastMarket, tracks: [] });
+                }
+            }
+        };
+        
+        await Promise.all(searchQueries.map(runQuery));
+        signal?.removeEventListener('abort', cancel);
+        
+        if (signal?.aborted) {
+            throw getAbortError(signal);
+        }
+        
+        const collected = resultsByQuery.flat();
+        if (collected.length === 0 && fatalError) {
+            throw fatalError;
+        }
+        
+        return collected;
+    }
+
+    /**
+     * Inspect the decisions behind the most recent recommendation run
+     * 
+     * Contains the normalised weather inputs, the energy/warmth/intensity
+     * targets with the reasons for each, the queries tried (with their
+     * profiles and weights), the queries and tracks removed by the user's
+     * blocklist, how personalization was applied, search cache hits and
+     * misses, and every picked track with its source and score breakdown.
+     * 
+     * @returns {Object|null} Debug structure, or null before the first run
+     */
+    getRecommendationDebug() {
+        return this.lastRecommendationDebug;
+    }
+
+    /**
+     * Search cache statistics since the page loaded
+     * 
+     * @returns {Object} Hits (memory/stored), misses, expired entries, writes,
+     *   evictions, hit rate and the configured TTL and size cap
+     */
+    getSearchCacheStats() {
+        return this.searchCache.getStats();
+    }
+
     // ========================================================================
     // SEARCH STRATEGY AND QUERY GENERATION
     // ========================================================================
@@ -632,11 +1625,32 @@ export class SpotifyAuth {
      * 
      * Creates diverse search queries from multiple angles to ensure variety
      * and comprehensive coverage of appropriate music for the weather condition.
+     * When targets are given, modifier queries are added for strongly-leaning
+     * targets and the list is ordered by weighted random match to the targets.
+     * 
+     * Seeds (genres, artists, moods, keywords) and queries that mention a
+     * blocked artist, genre or title keyword are removed before any search
+     * is spent on them.
      * 
+     * @param {Object} strategy - Search strategy from getWeatherSearchStrategies
+     * @param {string} weatherMain - Primary weather condition
+     * @param {Object} targets - Targets from getWeatherTargets
+     * @param {Object} blocklist - Result of createBlocklist (optional)
+     * @param {Array<Object>} blockedLog - Receives { query, term } for every removed query (optional)
+     * @returns {Array<{query: string, profile: Object, weight: number}>} Ordered queries
      */
-    buildSearchQueries(strategy, weatherMain) {
+    buildSearchQueries(strategy, weatherMain, targets = { energy: 0.5, warmth: 0.5, intensity: 0.5 }, blocklist = null, blockedLog = []) {
         const queries = [];
         
+        // 0. Drop blocked seeds up front (e.g. a blocked artist from the catalog)
+        const allowed = (seeds) => seeds.filter(seed => !findBlockedQueryTerm(seed, blocklist));
+        strategy = {
+            genres: allowed(strategy.genres),
+            moods: allowed(strategy.moods),
+            artists: allowed(strategy.artists),
+            keywords: allowed(strategy.keywords)
+        };
+        
         // 1. Genre searches with year filters
         strategy.genres.forEach(genre => {
             queries.push(`genre:${genre}`);
@@ -683,8 +1697,18 @@ export class SpotifyAuth {
         queries.push('songs');
         queries.push('playlist');
         
-        // Shuffle to ensure variety
-        return this.shuffleArray(queries);
+        // 9. Target modifiers (e.g. "winter indie" on a freezing day)
+        queries.push(...getTargetModifierQueries(targets, strategy.genres));
+        
+        // 10. Catch anything a blocked term still reaches (e.g. "rock music" when "rock" is blocked)
+        const allowedQueries = queries.filter(query => {
+            const term = findBlockedQueryTerm(query, blocklist);
+            if (term) blockedLog.push({ query, term });
+            return !term;
+        });
+        
+        // Weighted shuffle: variety, but queries matching the targets tend to come first
+        return rankQueries(allowedQueries, targets);
     }
 
     /**
@@ -692,14 +1716,26 @@ export class SpotifyAuth {
      * 
      * Removes low-quality tracks based on duration, popularity, and content type.
      * Ensures the final playlist contains only appropriate, well-formed tracks.
+     * Also removes tracks by blocked artists, with blocked title keywords, or
+     * found through a blocked genre.
      * 
+     * @param {Array<Object>} tracks - Tracks from searchTracks
+     * @param {Object} blocklist - Result of createBlocklist (optional)
+     * @param {Array<Object>} blockedLog - Receives { id, name, reason } for every blocked track (optional)
      */
-    filterTracksByQuality(tracks) {
+    filterTracksByQuality(tracks, blocklist = null, blockedLog = []) {
         return tracks.filter(track => {
             if (!track || !track.id || !track.name || !track.artists || track.artists.length === 0) {
                 return false;
             }
             
+            // Enforce the user's blocked artists, genres and title keywords
+            const blockReason = getTrackBlockReason(track, blocklist);
+            if (blockReason) {
+                blockedLog.push({ id: track.id, name: track.name, reason: blockReason });
+                return false;
+            }
+            
             // Filter by duration (remove very short or very long tracks)
             if (track.duration_ms) {
                 if (track.duration_ms < 30000 || track.duration_ms > 600000) {
@@ -727,17 +1763,18 @@ export class SpotifyAuth {
      * 
      * Prevents playlist from being dominated by any single artist.
      * Limits tracks per artist while maintaining randomness in selection.
+     * Pass shuffle = false to keep the given order (e.g. best-scored first).
      * 
      */
-    ensureArtistVariety(tracks) {
+    ensureArtistVariety(tracks, shuffle = true) {
         const artistCount = {};
         const varietyTracks = [];
         const maxPerArtist = 2;
         
         // Shuffle first to randomize selection
-        const shuffled = this.shuffleArray([...tracks]);
+        const ordered = shuffle ? this.shuffleArray([...tracks]) : tracks;
         
-        for (const track of shuffled) {
+        for (const track of ordered) {
             const artistName = track.artists[0]?.name;
             if (!artistName) continue;
             
@@ -758,50 +1795,15 @@ export class SpotifyAuth {
      * moods, representative artists, and thematic keywords. This is the
      * core intelligence that connects weather to appropriate music.
      * 
+     * Strategies come from the shared weather catalog, which also handles
+     * solar phase variants (e.g. golden hour vs night for clear skies) and
+     * the fallback for unknown conditions.
+     * 
+     * @param {string} weatherMain - Primary weather condition
+     * @param {Object} solar - Solar phase from getSolarPhase (optional)
      */
-    getWeatherSearchStrategies(weatherMain) {
-        const weather = weatherMain.toLowerCase();
-        
-        const strategies = {
-            clear: {
-                genres: ['pop', 'dance', 'indie-pop', 'electronic', 'funk', 'disco', 'house', 'reggae', 'tropical'],
-                moods: ['happy', 'upbeat', 'energetic', 'positive', 'cheerful', 'euphoric', 'sunny', 'bright'],
-                artists: ['Taylor Swift', 'Dua Lipa', 'Harry Styles', 'Ed Sheeran', 'Ariana Grande', 'Post Malone', 'Olivia Rodrigo', 'The Weeknd', 'Bruno Mars', 'Doja Cat'],
-                keywords: ['summer', 'sunshine', 'feel good', 'party', 'dance', 'celebration', 'beach', 'vacation', 'good vibes', 'uplifting']
-            },
-            rain: {
-                genres: ['indie', 'folk', 'acoustic', 'alternative', 'singer-songwriter', 'indie-folk', 'bedroom-pop', 'lo-fi'],
-                moods: ['melancholy', 'contemplative', 'chill', 'cozy', 'introspective', 'nostalgic', 'dreamy', 'calm', 'peaceful'],
-                artists: ['Bon Iver', 'Phoebe Bridgers', 'The National', 'Adele', 'Lana Del Rey', 'Radiohead', 'Sufjan Stevens', 'Cigarettes After Sex', 'Billie Eilish', 'Clairo'],
-                keywords: ['rainy day', 'introspective', 'quiet', 'peaceful', 'reflection', 'cozy', 'melancholy', 'rain', 'gentle', 'soft']
-            },
-            drizzle: {
-                genres: ['indie-folk', 'chill', 'ambient', 'soft-rock', 'lo-fi', 'dream-pop', 'chillwave', 'acoustic'],
-                moods: ['gentle', 'mellow', 'soothing', 'calm', 'relaxed', 'soft', 'peaceful', 'tender'],
-                artists: ['Lorde', 'Clairo', 'Rex Orange County', 'boy pablo', 'Mac DeMarco', 'Tame Impala', 'Beach House', 'Kali Uchis'],
-                keywords: ['soft', 'gentle', 'dreamy', 'lo-fi', 'chill', 'mellow', 'relaxing', 'light rain', 'misty']
-            },
-            thunderstorm: {
-                genres: ['rock', 'metal', 'electronic', 'alternative', 'punk', 'hard-rock', 'dubstep', 'heavy'],
-                moods: ['intense', 'powerful', 'dramatic', 'energetic', 'explosive', 'electric', 'aggressive', 'bold'],
-                artists: ['Imagine Dragons', 'Twenty One Pilots', 'Linkin Park', 'The Killers', 'Arctic Monkeys', 'Foo Fighters', 'Royal Blood', 'Muse'],
-                keywords: ['powerful', 'intense', 'epic', 'storm', 'electric', 'thunder', 'dramatic', 'energy', 'bold']
-            },
-            snow: {
-                genres: ['folk', 'ambient', 'classical', 'indie', 'acoustic', 'winter', 'neoclassical', 'piano'],
-                moods: ['peaceful', 'serene', 'contemplative', 'cozy', 'quiet', 'magical', 'calm', 'wintry'],
-                artists: ['Sufjan Stevens', 'Ólafur Arnalds', 'Agnes Obel', 'Bon Iver', 'Iron & Wine', 'Nils Frahm', 'Max Richter'],
-                keywords: ['winter', 'peaceful', 'quiet', 'serene', 'cozy', 'snow', 'cold', 'magical', 'crystalline']
-            },
-            clouds: {
-                genres: ['alternative', 'indie-rock', 'dream-pop', 'shoegaze', 'post-rock', 'brit-pop', 'indie'],
-                moods: ['contemplative', 'atmospheric', 'mellow', 'thoughtful', 'dreamy', 'moody', 'reflective'],
-                artists: ['The 1975', 'Arctic Monkeys', 'Vampire Weekend', 'Tame Impala', 'MGMT', 'Foster the People', 'Two Door Cinema Club'],
-                keywords: ['atmospheric', 'dreamy', 'alternative', 'indie', 'cloudy', 'overcast', 'gray', 'moody']
-            }
-        };
-
-        return strategies[weather] || strategies.clear;
+    getWeatherSearchStrategies(weatherMain, solar) {
+        return getConditionEntry(weatherMain, solar).search;
     }
 
     // ========================================================================
@@ -825,7 +1827,7 @@ export class SpotifyAuth {
             if (seen.has(track.id)) return false;
             seen.add(track.id);
             
-            const combo = `${track.artists[0]?.name?.toLowerCase()}-${track.name?.toLowerCase()}`;
+            const combo = getTrackKey(track);
             if (seenCombos.has(combo)) return false;
             seenCombos.add(combo);
             
@@ -866,24 +1868,29 @@ export class SpotifyAuth {
     /**
      * Get user's Spotify profile information
      * 
-     * Retrieves user profile data needed for playlist creation.
+     * Retrieves user profile data needed for playlist creation and shown in
+     * the account menu (display_name, images, country, product).
      * Requires user authentication via OAuth.
      * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<Object>} The /me profile
      */
-    async getUserProfile() {
-        const accessToken = await this.getValidAccessToken();
+    async getUserProfile({ signal } = {}) {
+        const accessToken = await this.getValidAccessToken({ signal });
         if (!accessToken) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
-            const response = await fetch(`${this.baseUrl}/me`, {
-                headers: { 'Authorization': `Bearer ${accessToken}` }
+            const response = await fetchWithNetworkErrors(`${this.baseUrl}/me`, {
+                headers: { 'Authorization': `Bearer ${accessToken}` },
+                signal
             });
 
             if (!response.ok) {
                 const errorText = await response.text();
-                throw new Error(`Failed to get user profile: ${response.status} - ${errorText}`);
+                throw createResponseError(response, `Failed to get user profile: ${response.status} - ${errorText}`);
             }
 
             return await response.json();
@@ -893,20 +1900,37 @@ export class SpotifyAuth {
         }
     }
 
+    /**
+     * The signed-in user's profile, fetched at most every 30 minutes
+     * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<Object>} The /me profile
+     */
+    async getCachedUserProfile({ signal } = {}) {
+        if (!this.userProfile || Date.now() - this.userProfile.fetchedAt > 30 * 60 * 1000) {
+            this.userProfile = { profile: await this.getUserProfile({ signal }), fetchedAt: Date.now() };
+        }
+        return this.userProfile.profile;
+    }
+
     /**
      * Create new playlist in user's Spotify account
      * 
      * Creates a playlist with weather-themed name and description.
      * Sets appropriate privacy level based on user preference.
+     * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
      */
-    async createPlaylist(userId, name, description = '', isPublic = false) {
-        const accessToken = await this.getValidAccessToken();
+    async createPlaylist(userId, name, description = '', isPublic = false, { signal } = {}) {
+        const accessToken = await this.getValidAccessToken({ signal });
         if (!accessToken) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
-            const response = await fetch(`${this.baseUrl}/users/${userId}/playlists`, {
+            const response = await fetchWithNetworkErrors(`${this.baseUrl}/users/${userId}/playlists`, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${accessToken}`,
@@ -916,12 +1940,13 @@ export class SpotifyAuth {
                     name,
                     description,
                     public: isPublic
-                })
+                }),
+                signal
             });
 
             if (!response.ok) {
                 const errorText = await response.text();
-                throw new Error(`Failed to create playlist: ${response.status} - ${errorText}`);
+                throw createResponseError(response, `Failed to create playlist: ${response.status} - ${errorText}`);
             }
 
             return await response.json();
@@ -935,37 +1960,566 @@ export class SpotifyAuth {
      * Add tracks to existing playlist
      * 
      * Populates the created playlist with the generated tracks.
-     * Handles batch addition of track URIs to the playlist.
+     * Adds them in batches of PLAYLIST_WRITE_CHUNK (Spotify's per-request
+     * limit), in order, retrying transient failures.
+     * 
+     * @param {string} playlistId - Playlist to add to
+     * @param {Array<string>} trackUris - Tracks to add at the end, in order
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the requests
+     * @param {Function} options.onProgress - Called with { written, total } after each batch
+     * @returns {Promise<number>} How many tracks were added
+     */
+    async addTracksToPlaylist(playlistId, trackUris, { signal, onProgress } = {}) {
+        try {
+            return await this.writePlaylistItems(playlistId, trackUris, { replace: false, signal, onProgress });
+        } catch (error) {
+            console.error('Error adding tracks to playlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Write a playlist's tracks in batches of PLAYLIST_WRITE_CHUNK
+     * 
+     * When replacing, the first batch replaces the playlist's contents
+     * (an empty list clears it) and the rest are added after it.
+     * 
+     * @param {string} playlistId - Playlist to write
+     * @param {Array<string>} trackUris - Tracks, in order
+     * @param {Object} options
+     * @param {boolean} options.replace - Replace the current contents instead of adding to them
+     * @param {AbortSignal} options.signal - Cancels the requests
+     * @param {Function} options.onProgress - Called with { written, total } after each batch
+     * @returns {Promise<number>} How many tracks were written
+     */
+    async writePlaylistItems(playlistId, trackUris, { replace = false, signal, onProgress } = {}) {
+        const total = trackUris.length;
+        let written = 0;
+
+        if (replace) {
+            const first = trackUris.slice(0, PLAYLIST_WRITE_CHUNK);
+            await this.requestPlaylistItems('PUT', playlistId, { uris: first }, { signal });
+            written = first.length;
+            onProgress?.({ written, total });
+        }
+
+        while (written < total) {
+            const chunk = trackUris.slice(written, written + PLAYLIST_WRITE_CHUNK);
+            await this.requestPlaylistItems('POST', playlistId, { uris: chunk }, { signal });
+            written += chunk.length;
+            onProgress?.({ written, total });
+        }
+
+        return written;
+    }
+
+    /**
+     * Remove tracks from a playlist (every occurrence of each), in batches
+     * 
+     * @param {string} playlistId - Playlist to remove from
+     * @param {Array<string>} trackUris - Tracks to remove
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the requests
+     */
+    async removePlaylistItems(playlistId, trackUris, { signal } = {}) {
+        for (let start = 0; start < trackUris.length; start += PLAYLIST_WRITE_CHUNK) {
+            const tracks = trackUris.slice(start, start + PLAYLIST_WRITE_CHUNK).map(uri => ({ uri }));
+            await this.requestPlaylistItems('DELETE', playlistId, { tracks }, { signal });
+        }
+    }
+
+    /**
+     * Send one request to a playlist's items, retrying transient failures
+     * 
+     * Rate limits wait out their Retry-After; network errors and 5xx
+     * responses wait PLAYLIST_WRITE_RETRY_DELAY times the attempt number.
+     * Anything else (and the last attempt's failure) is thrown.
+     * 
+     * Replacing and removing can simply be sent again, but an add whose
+     * response was lost may already have been applied: before resending a
+     * POST after a network error or 5xx, the playlist's end is read back
+     * (see playlistEndsWith) and the add counts as done if the chunk is there.
+     * 
+     * @param {string} method - 'POST' (add), 'PUT' (replace) or 'DELETE' (remove)
+     * @param {string} playlistId - Playlist to write
+     * @param {Object} body - Request body ({ uris } or { tracks })
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request and any wait before a retry
+     * @returns {Promise<Object|null>} { snapshot_id }, or null when a lost add turned out to have been applied
+     */
+    async requestPlaylistItems(method, playlistId, body, { signal } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const accessToken = await this.getValidAccessToken({ signal });
+                if (!accessToken) {
+                    throw new AuthError('Not authenticated with Spotify');
+                }
+
+                const response = await fetchWithNetworkErrors(`${this.baseUrl}/playlists/${playlistId}/tracks`, {
+                    method,
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(body),
+                    signal
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw createResponseError(response, `Failed to write playlist tracks: ${response.status} - ${errorText}`);
+                }
+
+                return await response.json();
+            } catch (error) {
+                const transient = error instanceof RateLimitError || error instanceof NetworkError;
+                if (!transient || attempt >= PLAYLIST_WRITE_ATTEMPTS) throw error;
+
+                const wait = error instanceof RateLimitError ? error.retryAfter * 1000 : PLAYLIST_WRITE_RETRY_DELAY * attempt;
+                console.warn(`⏳ Playlist write failed (attempt ${attempt}/${PLAYLIST_WRITE_ATTEMPTS}), retrying in ${wait}ms:`, error.message);
+                await waitFor(wait, signal);
+
+                // A 429 was refused outright; anything else may have reached Spotify
+                if (method === 'POST' && error instanceof NetworkError) {
+                    const applied = await this.playlistEndsWith(playlistId, body.uris, { signal }).catch(checkError => {
+                        console.error('Error checking playlist after a failed add:', checkError);
+                        throw error;
+                    });
+                    if (applied) {
+                        console.log('✅ The failed add had reached Spotify, not sending it again');
+                        return null;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether a playlist's last tracks are exactly these, in this order
+     * 
+     * Tells whether an add went through. Saved tracks are de-duplicated,
+     * so a playlist can't already end with a chunk that is about to be added.
+     * 
+     * @param {string} playlistId - Playlist to read
+     * @param {Array<string>} trackUris - Expected last tracks (at most 100)
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the requests
+     * @returns {Promise<boolean>}
      */
-    async addTracksToPlaylist(playlistId, trackUris) {
-        const accessToken = await this.getValidAccessToken();
+    async playlistEndsWith(playlistId, trackUris, { signal } = {}) {
+        const { total = 0 } = await this.fetchUserData(`/playlists/${playlistId}/tracks?fields=total&limit=1`, { signal });
+        if (total < trackUris.length) return false;
+
+        const page = await this.fetchUserData(`/playlists/${playlistId}/tracks?fields=items(track(uri))&limit=${trackUris.length}&offset=${total - trackUris.length}`, { signal });
+        const tail = (page.items || []).map(item => item.track?.uri);
+        return tail.length === trackUris.length && tail.every((uri, index) => uri === trackUris[index]);
+    }
+
+    /**
+     * Remove a playlist from the user's library
+     * 
+     * Spotify has no playlist delete: unfollowing the user's own playlist
+     * is how it is removed.
+     * 
+     * @param {string} playlistId - Playlist to remove
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     */
+    async unfollowPlaylist(playlistId, { signal } = {}) {
+        const accessToken = await this.getValidAccessToken({ signal });
+        if (!accessToken) {
+            throw new AuthError('Not authenticated with Spotify');
+        }
+
+        const response = await fetchWithNetworkErrors(`${this.baseUrl}/playlists/${playlistId}/followers`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+            signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw createResponseError(response, `Failed to remove playlist: ${response.status} - ${errorText}`);
+        }
+    }
+
+    /**
+     * List the signed-in user's playlists (owned and followed)
+     * 
+     * Pages through up to MAX_PLAYLISTS_SCANNED playlists.
+     * Private playlists need the playlist-read-private scope.
+     * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the requests
+     * @returns {Promise<Array<Object>>} Simplified playlist objects (id, name, description, owner, tracks.total, external_urls)
+     */
+    async getUserPlaylists({ signal } = {}) {
+        const playlists = [];
+        // Spotify can return null entries, so the offset counts raw items, not kept playlists
+        let offset = 0;
+        let hasMore = true;
+
+        while (hasMore && offset < MAX_PLAYLISTS_SCANNED) {
+            const page = await this.fetchUserData(`/me/playlists?limit=50&offset=${offset}`, { signal });
+            const items = page.items || [];
+            playlists.push(...items.filter(Boolean));
+            offset += items.length;
+            hasMore = Boolean(page.next) && items.length > 0;
+        }
+
+        return playlists;
+    }
+
+    /**
+     * Find the playlists WeatherBeats saved to the user's account
+     * 
+     * Only playlists the user owns (others can't be changed) whose description
+     * mentions WeatherBeats or that are the rolling playlist.
+     * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the requests
+     * @returns {Promise<Array<Object>>} Matching playlists, in the user's library order
+     */
+    async findWeatherBeatsPlaylists({ signal } = {}) {
+        const [user, playlists] = await Promise.all([
+            this.getCachedUserProfile({ signal }),
+            this.getUserPlaylists({ signal })
+        ]);
+
+        return playlists.filter(playlist => playlist.owner?.id === user.id && (
+            playlist.name === ROLLING_PLAYLIST_NAME || (playlist.description || '').includes(WEATHERBEATS_TAG)
+        ));
+    }
+
+    /**
+     * URIs of the tracks already in a playlist
+     * 
+     * @param {string} playlistId - Playlist to read
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the requests
+     * @returns {Promise<Array<string>>} Track URIs, in playlist order
+     */
+    async getPlaylistTrackUris(playlistId, { signal } = {}) {
+        const uris = [];
+        let offset = 0;
+        let hasMore = true;
+
+        while (hasMore) {
+            const page = await this.fetchUserData(`/playlists/${playlistId}/tracks?fields=next,items(track(uri))&limit=100&offset=${offset}`, { signal });
+            const items = page.items || [];
+            items.forEach(item => item.track?.uri && uris.push(item.track.uri));
+            offset += items.length;
+            hasMore = Boolean(page.next) && items.length > 0;
+        }
+
+        return uris;
+    }
+
+    /**
+     * Replace every track in a playlist
+     * 
+     * @param {string} playlistId - Playlist to overwrite
+     * @param {Array<string>} trackUris - New contents, in order
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the requests
+     * @param {Function} options.onProgress - Called with { written, total } after each batch
+     * @returns {Promise<number>} How many tracks were written
+     */
+    async replacePlaylistItems(playlistId, trackUris, { signal, onProgress } = {}) {
+        return this.writePlaylistItems(playlistId, trackUris, { replace: true, signal, onProgress });
+    }
+
+    /**
+     * Change a playlist's name and/or description
+     * 
+     * @param {string} playlistId - Playlist to update
+     * @param {Object} details - { name, description } (omitted fields are left alone)
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     */
+    async updatePlaylistDetails(playlistId, details, { signal } = {}) {
+        const accessToken = await this.getValidAccessToken({ signal });
         if (!accessToken) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
+        const response = await fetchWithNetworkErrors(`${this.baseUrl}/playlists/${playlistId}`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(details),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw createResponseError(response, `Failed to update playlist details: ${response.status} - ${errorText}`);
+        }
+    }
+
+    /**
+     * Save tracks as a new playlist, or into the rolling or an existing one
+     * 
+     * Targets:
+     * - 'new':     a new playlist named `name`
+     * - 'rolling': the ROLLING_PLAYLIST_NAME playlist, created on first use
+     * - a playlist object from findWeatherBeatsPlaylists
+     * 
+     * Modes (ignored for new playlists):
+     * - 'replace': the playlist ends up holding exactly these tracks, and its
+     *   description is updated to the current weather
+     * - 'append':  tracks not already in the playlist are added at the end
+     * 
+     * Tracks are written in batches (see writePlaylistItems). If a write
+     * still fails after its retries, the save is rolled back: a playlist
+     * created for it is removed, appended tracks are taken out again and a
+     * replaced playlist gets its previous tracks back. The thrown error's
+     * `rolledBack` says whether the account was left as it was.
+     * 
+     * @param {Object} save
+     * @param {string|Object} save.target - 'new', 'rolling' or a playlist
+     * @param {string} save.mode - 'replace' or 'append'
+     * @param {string} save.name - Name for a new playlist
+     * @param {string} save.description - Description for a new or replaced playlist
+     * @param {Array<string>} save.trackUris - Tracks to save, in order
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the requests (the rollback still runs)
+     * @param {Function} options.onProgress - Called with { written, total } after each batch
+     * @returns {Promise<{playlist: Object, added: number, created: boolean}>}
+     *   The playlist, how many tracks were written and whether it was created
+     */
+    async savePlaylist({ target = 'new', mode = 'replace', name, description, trackUris }, { signal, onProgress } = {}) {
+        let undo = null;
+
         try {
-            const response = await fetch(`${this.baseUrl}/playlists/${playlistId}/tracks`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    uris: trackUris
-                })
-            });
+            const user = await this.getCachedUserProfile({ signal });
+            let playlist = typeof target === 'object' ? target : null;
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Failed to add tracks to playlist: ${response.status} - ${errorText}`);
+            if (target === 'rolling') {
+                const existing = await this.findWeatherBeatsPlaylists({ signal });
+                playlist = existing.find(candidate => candidate.name === ROLLING_PLAYLIST_NAME) || null;
             }
 
-            return await response.json();
+            if (!playlist) {
+                const created = await this.createPlaylist(user.id, target === 'rolling' ? ROLLING_PLAYLIST_NAME : name, description, false, { signal });
+                undo = () => this.unfollowPlaylist(created.id);
+                await this.addTracksToPlaylist(created.id, trackUris, { signal, onProgress });
+                return { playlist: created, added: trackUris.length, created: true };
+            }
+
+            if (mode === 'append') {
+                const present = new Set(await this.getPlaylistTrackUris(playlist.id, { signal }));
+                const newUris = trackUris.filter(uri => !present.has(uri));
+                if (newUris.length > 0) {
+                    // None of these were in the playlist, so removing them all restores it
+                    undo = () => this.removePlaylistItems(playlist.id, newUris);
+                    await this.addTracksToPlaylist(playlist.id, newUris, { signal, onProgress });
+                }
+                return { playlist, added: newUris.length, created: false };
+            }
+
+            const previousUris = await this.getPlaylistTrackUris(playlist.id, { signal });
+            undo = () => this.replacePlaylistItems(playlist.id, previousUris);
+            await this.replacePlaylistItems(playlist.id, trackUris, { signal, onProgress });
+            await this.updatePlaylistDetails(playlist.id, { description }, { signal });
+            return { playlist, added: trackUris.length, created: false };
         } catch (error) {
-            console.error('Error adding tracks to playlist:', error);
+            error.rolledBack = await this.rollbackPlaylistSave(undo);
             throw error;
         }
     }
+
+    /**
+     * Undo a failed savePlaylist
+     * 
+     * @param {Function|null} undo - Reverts the save's writes (null when nothing was written yet)
+     * @returns {Promise<boolean>} Whether the account is back as it was
+     */
+    async rollbackPlaylistSave(undo) {
+        if (!undo) return true;
+
+        try {
+            await undo();
+            console.log('↩️ Rolled back the failed playlist save');
+            return true;
+        } catch (error) {
+            console.error('Error rolling back playlist save:', error);
+            return false;
+        }
+    }
+
+    // ========================================================================
+    // PERSONALIZATION - SIGNED-IN USER TASTE
+    // ========================================================================
+
+    /**
+     * Fetch a user-scoped endpoint with the user's access token
+     * 
+     * @param {string} path - Path under the Web API base URL (e.g. '/me/top/artists?limit=20')
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<Object>} Parsed response
+     */
+    async fetchUserData(path, { signal } = {}) {
+        const accessToken = await this.getValidAccessToken({ signal });
+
+        const response = await fetchWithNetworkErrors(`${this.baseUrl}${path}`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+            signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw createResponseError(response, `Failed to get ${path}: ${response.status} - ${errorText}`);
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Get the signed-in user's listening taste
+     * 
+     * Combines top artists, top tracks (user-top-read) and the most recently
+     * saved library tracks (user-library-read). Any of the three may fail
+     * independently; the profile uses whatever loaded. Cached for 30 minutes.
+     * 
+     * Tracks are tagged with personal_source ('top' or 'saved') and a
+     * search_query built from their artist's genres, so scoreTrack and the
+     * genre blocklist treat them like search results.
+     * 
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<{artists: Array<Object>, genres: Array<string>, tracks: Array<Object>}>}
+     *   Top artists, their most common genres (most frequent first) and candidate tracks
+     */
+    async getTasteProfile({ signal } = {}) {
+        if (this.tasteProfile && Date.now() - this.tasteProfile.fetchedAt < 30 * 60 * 1000) {
+            return this.tasteProfile;
+        }
+
+        const [topArtists, topTracks, savedTracks] = await Promise.allSettled([
+            this.fetchUserData('/me/top/artists?limit=20&time_range=medium_term', { signal }),
+            this.fetchUserData('/me/top/tracks?limit=20&time_range=medium_term', { signal }),
+            this.fetchUserData('/me/tracks?limit=50&market=from_token', { signal })
+        ]);
+        signal?.throwIfAborted();
+
+        if ([topArtists, topTracks, savedTracks].every(result => result.status === 'rejected')) {
+            throw topArtists.reason;
+        }
+
+        const artists = topArtists.status === 'fulfilled' ? topArtists.value.items || [] : [];
+
+        // Most common genres across top artists
+        const genreCounts = {};
+        artists.forEach(artist => (artist.genres || []).forEach(genre => {
+            genreCounts[genre] = (genreCounts[genre] || 0) + 1;
+        }));
+        const genres = Object.entries(genreCounts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([genre]) => genre);
+
+        // Genres per artist id, used to describe tracks for scoring
+        const genresByArtist = new Map(artists.map(artist => [artist.id, artist.genres || []]));
+        const tagTrack = (track, source) => ({
+            ...track,
+            personal_source: source,
+            search_query: `${source} tracks ${(genresByArtist.get(track.artists?.[0]?.id) || []).slice(0, 3).join(' ')}`.trim()
+        });
+
+        const tracks = [
+            ...(topTracks.status === 'fulfilled' ? topTracks.value.items || [] : []).map(track => tagTrack(track, 'top')),
+            ...(savedTracks.status === 'fulfilled' ? savedTracks.value.items || [] : [])
+                .map(item => item.track)
+                .filter(Boolean)
+                .map(track => tagTrack(track, 'saved'))
+        ];
+
+        this.tasteProfile = { artists, genres, tracks, fetchedAt: Date.now() };
+        console.log(`💚 Taste profile: ${artists.length} top artists, ${genres.length} genres, ${tracks.length} tracks`);
+        return this.tasteProfile;
+    }
+
+    /**
+     * Decide how the user's taste feeds into this recommendation run
+     * 
+     * Only applies to signed-in users with a strength above 0; everyone else
+     * gets null and the catalog-only behavior. The strength sets both the
+     * share of the playlist reserved for personal tracks (quota) and how many
+     * personal searches are made. Personal searches pair the user's top
+     * genres with the weather's moods, and look up their top artists, so the
+     * personal share still suits the weather.
+     * 
+     * @param {Object} strategy - Search strategy from getWeatherSearchStrategies
+     * @param {Object} targets - Targets from getWeatherTargets
+     * @param {Object} blocklist - Result of createBlocklist
+     * @param {number} strength - Personalization strength from 0 to 1
+     * @param {number} limit - Playlist length
+     * @param {Object} debug - Recommendation debug structure (receives debug.personalization)
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<Object|null>} { quota, queries, libraryTracks } or null
+     * @throws {Error} Only when cancelled; any other failure falls back to null
+     */
+    async getPersonalSeeds(strategy, targets, blocklist, strength, limit, debug, { signal } = {}) {
+        const share = Math.min(Math.max(strength || 0, 0), 1);
+        debug.personalization = { strength: share, used: false };
+
+        if (share === 0) {
+            debug.personalization.reason = 'Personalization is off';
+            return null;
+        }
+        if (!this.isLoggedIn()) {
+            debug.personalization.reason = 'Not signed in - using the catalog only';
+            return null;
+        }
+
+        let taste;
+        try {
+            taste = await this.getTasteProfile({ signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Could not load listening history, using the catalog only:', error);
+            debug.personalization.reason = `Could not load listening history: ${error.message}`;
+            return null;
+        }
+
+        if (taste.artists.length === 0 && taste.tracks.length === 0) {
+            debug.personalization.reason = 'No listening history yet';
+            return null;
+        }
+
+        const queries = [];
+        taste.genres.slice(0, 3).forEach((genre, index) => {
+            queries.push(`genre:"${genre}"`);
+            if (strategy.moods.length > 0) {
+                queries.push(`${strategy.moods[index % strategy.moods.length]} ${genre}`);
+            }
+        });
+        taste.artists.slice(0, 2 + Math.round(4 * share)).forEach(artist => {
+            queries.push(`artist:"${artist.name}"`);
+        });
+
+        const allowedQueries = queries.filter(query => !findBlockedQueryTerm(query, blocklist));
+        const rankedQueries = rankQueries(allowedQueries, targets).slice(0, Math.ceil(8 * share));
+        const quota = Math.round(limit * share);
+
+        debug.personalization = {
+            strength: share,
+            used: true,
+            quota,
+            topArtists: taste.artists.slice(0, 5).map(artist => artist.name),
+            topGenres: taste.genres.slice(0, 5),
+            queries: rankedQueries,
+            libraryTracks: taste.tracks.length,
+            picked: 0
+        };
+
+        return { quota, queries: rankedQueries, libraryTracks: taste.tracks };
+    }
 }
 
 // ============================================================================
@@ -977,8 +2531,83 @@ export class SpotifyAuth {
  * 
  * Uses OpenWeatherMap API to get current weather conditions
  * that drive the music recommendation algorithm.
+ * 
+ * Requests go through one of (see appConfig.js):
+ * - 'proxy' (default): the weather Netlify Function, which adds the API key server-side
+ * - 'direct': OpenWeatherMap itself with VITE_WEATHER_API_KEY, which Vite inlines
+ *   into the bundle - only for local development; the startup check rejects it for deploys
+ */
+const WEATHER_MODE = appConfig.weather.mode;
+const WEATHER_ENDPOINT = appConfig.weather.endpoint;
+const weather_API_KEY = appConfig.weather.apiKey;
+
+/**
+ * OpenWeatherMap paths and the matching weather function routes
  */
-const weather_API_KEY = import.meta.env.VITE_WEATHER_API_KEY;
+const WEATHER_ROUTES = {
+    weather: { direct: '/data/2.5/weather', proxy: '' },
+    forecast: { direct: '/data/2.5/forecast', proxy: '/forecast' },
+    geocode: { direct: '/geo/1.0/direct', proxy: '/geocode' }
+};
+
+/**
+ * Request weather data
+ * 
+ * @param {string} route - 'weather', 'forecast' or 'geocode'
+ * @param {Object} params - Query parameters (without the API key)
+ * @returns {Promise<Response>} The response (not checked for ok)
+ * @throws {ConfigError} When the weather service isn't configured or the proxy is missing
+ * @throws {NetworkError} When the weather service can't be reached
+ */
+const fetchWeatherService = async (route, params) => {
+    if (WEATHER_MODE === 'direct') {
+        if (!weather_API_KEY) {
+            throw new ConfigError('Weather API key not configured - set VITE_WEATHER_API_KEY or switch VITE_WEATHER_MODE back to proxy');
+        }
+        const query = new URLSearchParams({ ...params, appid: weather_API_KEY });
+        return fetchWithNetworkErrors(`https://api.openweathermap.org${WEATHER_ROUTES[route].direct}?${query}`, {}, 'OpenWeatherMap');
+    }
+    
+    const response = await fetchWithNetworkErrors(`${WEATHER_ENDPOINT}${WEATHER_ROUTES[route].proxy}?${new URLSearchParams(params)}`, {}, 'the weather service');
+    
+    // The SPA fallback answers unknown paths with index.html, so a non-JSON reply means the function isn't deployed
+    if (!(response.headers.get('Content-Type') || '').includes('application/json')) {
+        throw new ConfigError(`Weather endpoint ${WEATHER_ENDPOINT} is not available - check that the weather function is deployed (or VITE_WEATHER_ENDPOINT)`, { status: response.status });
+    }
+    return response;
+};
+
+/**
+ * Build the typed error for a failed OpenWeatherMap response
+ * 
+ * OpenWeatherMap doesn't always send Retry-After, so rate limits default
+ * to a one-minute wait (its limits are per minute). The weather function
+ * passes OpenWeatherMap's statuses through, adding 400 for invalid
+ * parameters and 500 when its key isn't configured.
+ * 
+ * @param {Response} response - Response that wasn't ok
+ * @param {string} notFoundMessage - Message for a 404
+ * @param {string} message - Message for any other failure
+ * @returns {AppError} Error to throw
+ */
+const createWeatherError = (response, notFoundMessage, message) => {
+    const { status } = response;
+    
+    if (status === 401) {
+        return new ConfigError(`Weather API key rejected by OpenWeatherMap - check ${WEATHER_MODE === 'proxy' ? 'WEATHER_API_KEY on the server' : 'VITE_WEATHER_API_KEY'}`, { status });
+    } else if (status === 500 && WEATHER_MODE === 'proxy') {
+        return new ConfigError('Weather service not configured - set WEATHER_API_KEY on the server (or WEATHER_MOCK for local development)', { status });
+    } else if (status === 400) {
+        return new RegionError('Invalid location for the weather service', { status });
+    } else if (status === 404) {
+        return new RegionError(notFoundMessage, { status });
+    } else if (status === 429) {
+        return new RateLimitError('Weather service rate limit reached - please try again in a moment', {
+            retryAfter: getRetryAfter(response, 60)
+        });
+    }
+    return createResponseError(response, message);
+};
 
 /**
  * Fetch current weather data for given coordinates
@@ -988,33 +2617,112 @@ const weather_API_KEY = import.meta.env.VITE_WEATHER_API_KEY;
  * 
  * Weather data drives the entire music recommendation process
  * by determining mood, energy level, and appropriate genres.
+ * 
+ * Readings are cached per rounded coordinate and unit system (see
+ * weatherCache.js); a cached reading younger than maxAge is returned
+ * without calling the API.
+ * 
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} units - 'metric', 'imperial' or 'standard' (see units.js)
+ * @param {Object} options
+ * @param {number} options.maxAge - Oldest cached reading to accept in milliseconds (0 always fetches)
  */
-export const getWeather = async (latitude, longitude) => {
+export const getWeather = async (latitude, longitude, units = 'imperial', { maxAge = WEATHER_CACHE_TTL } = {}) => {
+    const cached = getCachedWeather(latitude, longitude, units, maxAge);
+    if (cached) {
+        console.log(`💾 Using cached weather for ${latitude}, ${longitude} (${units})`);
+        return cached;
+    }
+    
     try {
-        console.log(`🌤️ Fetching weather for coordinates: ${latitude}, ${longitude}`);
+        console.log(`🌤️ Fetching weather for coordinates: ${latitude}, ${longitude} (${units})`);
         
-        const response = await fetch(`https://api.openweathermap.org/data/2.5/weather?lat=${latitude}&lon=${longitude}&appid=${weather_API_KEY}&units=imperial`);
+        const response = await fetchWeatherService('weather', { lat: latitude, lon: longitude, units });
         
         if (!response.ok) {
             const errorText = await response.text();
             console.error('Weather API error:', errorText);
-            
-            if (response.status === 401) {
-                throw new Error('Weather API key invalid - please contact support');
-            } else if (response.status === 404) {
-                throw new Error('Weather data not available for your location');
-            } else if (response.status === 429) {
-                throw new Error('Weather service temporarily unavailable - please try again in a moment');
-            } else {
-                throw new Error(`Weather API error: ${response.status}`);
-            }
+            throw createWeatherError(response, 'Weather data not available for your location', `Weather API error: ${response.status}`);
         }
         
         const data = await response.json();
         console.log('✅ Weather API response received:', data);
+        cacheWeather(latitude, longitude, units, data);
         return data;
     } catch (error) {
         console.error('Error fetching weather:', error);
         throw error;
     }
+};
+
+/**
+ * Fetch the 5-day / 3-hour forecast for given coordinates
+ * 
+ * Retrieves up to 40 forecast blocks from OpenWeatherMap, each with the same
+ * main/weather/wind/clouds/rain/snow fields as the current weather response.
+ * Combined with forecastBlockToWeather (forecast.js), any block can drive the
+ * theme and playlist generation just like current conditions.
+ * 
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} units - 'metric', 'imperial' or 'standard' (see units.js)
+ */
+export const getForecast = async (latitude, longitude, units = 'imperial') => {
+    try {
+        console.log(`📅 Fetching forecast for coordinates: ${latitude}, ${longitude} (${units})`);
+        
+        const response = await fetchWeatherService('forecast', { lat: latitude, lon: longitude, units });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('Forecast API error:', errorText);
+            throw createWeatherError(response, 'Forecast not available for your location', `Forecast API error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        console.log(`✅ Forecast received: ${data.list?.length || 0} blocks`);
+        return data;
+    } catch (error) {
+        console.error('Error fetching forecast:', error);
+        throw error;
+    }
+};
+
+/**
+ * Search for cities by name using OpenWeatherMap geocoding
+ * 
+ * Powers the location picker, which lets users choose a city manually
+ * when geolocation is denied or when they want weather somewhere else.
+ * 
+ * @param {string} query - City name, optionally with state/country (e.g. "Paris, FR")
+ * @param {number} limit - Maximum number of matches (OpenWeatherMap allows up to 5)
+ * @returns {Promise<Array<Object>>} Matches with name, state, country, latitude and longitude
+ */
+export const searchCities = async (query, limit = 5) => {
+    try {
+        console.log(`🔎 Searching cities for: ${query}`);
+        
+        const response = await fetchWeatherService('geocode', { q: query, limit });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('Geocoding API error:', errorText);
+            throw createWeatherError(response, 'No cities found', `Geocoding API error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        console.log(`✅ City search returned ${data.length} matches`);
+        
+        return data.map(place => ({
+            name: place.name,
+            state: place.state || null,
+            country: place.country,
+            latitude: place.lat,
+            longitude: place.lon
+        }));
+    } catch (error) {
+        console.error('Error searching cities:', error);
+        throw error;
+    }
 };
\ No newline at end of file
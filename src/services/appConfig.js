@@ -0,0 +1,257 @@
+/**
+ * APP CONFIGURATION
+ *
+ * Resolves the Spotify OAuth settings and service endpoints from environment
+ * variables, so login works on localhost, Netlify deploy previews and forks
+ * without code changes, and checks them once at startup.
+ *
+ * Environment profiles:
+ * - development: `vite dev` / `vite preview` on this machine
+ * - preview:     Netlify deploy previews and branch deploys
+ * - production:  the deployed site
+ *
+ * The profile comes from VITE_APP_PROFILE (netlify.toml sets it per deploy
+ * context), falling back to development under `vite dev` and production
+ * otherwise. Per-environment values are set the usual way: Vite's
+ * .env.[mode] files locally and Netlify's per-context environment variables
+ * for deploys.
+ *
+ * Settings (all optional except the client ID):
+ * - VITE_SPOTIFY_API_KEY:        Spotify app client ID
+ * - VITE_SPOTIFY_REDIRECT_URI:   OAuth redirect URI (default: the current origin, e.g. http://127.0.0.1:5173/)
+ * - VITE_SPOTIFY_SCOPES:         space-separated OAuth scopes (default: DEFAULT_SCOPES)
+ * - VITE_SPOTIFY_ACCOUNTS_URL:   Spotify accounts service (authorize and token endpoints)
+ * - VITE_SPOTIFY_API_URL:        Spotify Web API base URL
+ * - VITE_SPOTIFY_TOKEN_ENDPOINT / VITE_SPOTIFY_TOKEN_MODE: catalog token source (see SpotifyAuth)
+ * - VITE_WEATHER_ENDPOINT / VITE_WEATHER_MODE:             weather source (see fetchWeatherService)
+ *
+ * validateConfig lists every problem with the exact variable to fix; main.jsx
+ * shows ConfigScreen instead of the app while any of them is an error.
+ */
+
+/**
+ * Profiles and what each one allows
+ *
+ * - allowDirectMode: browser-side secrets ('direct' token/weather modes) are acceptable
+ */
+export const CONFIG_PROFILES = {
+    development: { label: 'Development', allowDirectMode: true },
+    preview: { label: 'Deploy preview', allowDirectMode: false },
+    production: { label: 'Production', allowDirectMode: false }
+};
+
+/**
+ * Every permission the app asks for
+ */
+export const DEFAULT_SCOPES = [
+    'playlist-modify-public',
+    'playlist-modify-private',
+    'user-read-private',
+    'user-read-email',
+    'user-library-read',
+    'user-top-read',
+    'playlist-read-private',
+    'user-read-recently-played'
+];
+
+/**
+ * What each scope lets the app do, in the words shown to users
+ */
+export const SCOPE_DESCRIPTIONS = {
+    'playlist-modify-public': 'Create and edit your public playlists',
+    'playlist-modify-private': 'Create and edit your private playlists',
+    'playlist-read-private': 'See your private playlists',
+    'user-read-private': 'See your country and subscription type',
+    'user-read-email': 'See your email address',
+    'user-library-read': 'See your saved tracks',
+    'user-top-read': 'See your top artists and tracks',
+    'user-read-recently-played': 'See what you played recently'
+};
+
+/**
+ * Scopes without which saving playlists can't work
+ */
+export const REQUIRED_SCOPES = ['playlist-modify-public', 'playlist-modify-private', 'user-read-private'];
+
+/**
+ * Accepted values for the token and weather modes
+ */
+const SERVICE_MODES = ['proxy', 'direct'];
+
+/**
+ * Hosts Spotify accepts plain http redirect URIs for
+ */
+const LOOPBACK_HOSTS = ['127.0.0.1', '[::1]'];
+
+/**
+ * Read the environment into a configuration object
+ *
+ * @param {Object} env - Environment variables (see BUILD_ENV)
+ * @param {string} origin - Current page origin, used for the default redirect URI
+ * @returns {Object} Resolved configuration
+ */
+export const resolveConfig = (env, origin) => {
+    const profile = env.VITE_APP_PROFILE || (env.DEV ? 'development' : 'production');
+    const tokenMode = env.VITE_SPOTIFY_TOKEN_MODE || 'proxy';
+    const weatherMode = env.VITE_WEATHER_MODE || 'proxy';
+
+    return {
+        profile,
+        spotify: {
+            clientId: env.VITE_SPOTIFY_API_KEY || '',
+            redirectUri: env.VITE_SPOTIFY_REDIRECT_URI || `${origin}/`,
+            scopes: env.VITE_SPOTIFY_SCOPES ? env.VITE_SPOTIFY_SCOPES.split(/\s+/).filter(Boolean) : DEFAULT_SCOPES,
+            accountsUrl: (env.VITE_SPOTIFY_ACCOUNTS_URL || 'https://accounts.spotify.com').replace(/\/+$/, ''),
+            apiUrl: (env.VITE_SPOTIFY_API_URL || 'https://api.spotify.com/v1').replace(/\/+$/, ''),
+            tokenEndpoint: env.VITE_SPOTIFY_TOKEN_ENDPOINT || '/api/spotify-token',
+            tokenMode,
+            clientSecret: tokenMode === 'direct' ? env.VITE_SPOTIFY_CLIENT_SECRET || '' : null
+        },
+        weather: {
+            endpoint: (env.VITE_WEATHER_ENDPOINT || '/api/weather').replace(/\/+$/, ''),
+            mode: weatherMode,
+            apiKey: weatherMode === 'direct' ? env.VITE_WEATHER_API_KEY || '' : null
+        }
+    };
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * @param {string} value - Candidate URL
+ * @returns {URL|null} Parsed http(s) URL, or null
+ */
+const parseHttpUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * @param {string} value - Candidate endpoint
+ * @returns {boolean} Whether it is a same-site path or an absolute http(s) URL
+ */
+const isEndpoint = (value) => value.startsWith('/') || parseHttpUrl(value) !== null;
+
+/**
+ * Collect every problem with a configuration
+ *
+ * Errors stop the app from starting; warnings are shown alongside errors
+ * and otherwise only logged.
+ *
+ * @param {Object} config - Output of resolveConfig
+ * @param {string} origin - Current page origin
+ * @returns {Array<Object>} Problems as { severity: 'error'|'warning', variable, message, fix }
+ */
+export const validateConfig = (config, origin) => {
+    const problems = [];
+    const add = (severity, variable, message, fix) => problems.push({ severity, variable, message, fix });
+    const { spotify, weather } = config;
+    const profile = CONFIG_PROFILES[config.profile];
+
+    if (!profile) {
+        add('error', 'VITE_APP_PROFILE', `Unknown profile "${config.profile}".`,
+            `Use one of: ${Object.keys(CONFIG_PROFILES).join(', ')}.`);
+    }
+
+    if (!spotify.clientId) {
+        add('error', 'VITE_SPOTIFY_API_KEY', 'The Spotify client ID is not set.',
+            'Copy the Client ID of your app from the Spotify Developer Dashboard.');
+    }
+
+    const redirect = parseHttpUrl(spotify.redirectUri);
+    if (!redirect) {
+        add('error', 'VITE_SPOTIFY_REDIRECT_URI', `"${spotify.redirectUri}" is not an http(s) URL.`,
+            'Use the full address the app is served from, e.g. https://yourapp.netlify.app/.');
+    } else if (redirect.hostname === 'localhost') {
+        add('error', 'VITE_SPOTIFY_REDIRECT_URI', 'Spotify does not accept "localhost" redirect URIs.',
+            'Open the app at http://127.0.0.1:5173/ (the dev server address) and register that URI instead.');
+    } else if (redirect.protocol === 'http:' && !LOOPBACK_HOSTS.includes(redirect.hostname)) {
+        add('error', 'VITE_SPOTIFY_REDIRECT_URI', 'Spotify only accepts plain http redirect URIs on 127.0.0.1.',
+            'Use an https:// address.');
+    } else if (redirect.origin !== origin) {
+        add('warning', 'VITE_SPOTIFY_REDIRECT_URI', `Login redirects to ${redirect.origin}, but the app is running on ${origin}.`,
+            'Sign-in state is stored per site, so logging in from here will not complete. Point the redirect URI at this site.');
+    }
+
+    const missingScopes = REQUIRED_SCOPES.filter(scope => !spotify.scopes.includes(scope));
+    if (missingScopes.length > 0) {
+        add('error', 'VITE_SPOTIFY_SCOPES', `Missing required scopes: ${missingScopes.join(', ')}.`,
+            'Add them (space-separated) or remove the variable to use the defaults.');
+    }
+
+    [['VITE_SPOTIFY_ACCOUNTS_URL', spotify.accountsUrl], ['VITE_SPOTIFY_API_URL', spotify.apiUrl]].forEach(([variable, value]) => {
+        if (!parseHttpUrl(value)) {
+            add('error', variable, `"${value}" is not an http(s) URL.`, 'Remove the variable to use the Spotify default.');
+        }
+    });
+
+    [
+        ['SPOTIFY_TOKEN', spotify.tokenMode, spotify.tokenEndpoint, spotify.clientSecret, 'VITE_SPOTIFY_CLIENT_SECRET', 'SPOTIFY_CLIENT_SECRET'],
+        ['WEATHER', weather.mode, weather.endpoint, weather.apiKey, 'VITE_WEATHER_API_KEY', 'WEATHER_API_KEY']
+    ].forEach(([name, mode, endpoint, secret, secretVariable, serverVariable]) => {
+        if (!SERVICE_MODES.includes(mode)) {
+            add('error', `VITE_${name}_MODE`, `Unknown mode "${mode}".`, 'Use "proxy" (the default) or "direct".');
+        } else if (mode === 'direct' && profile && !profile.allowDirectMode) {
+            add('error', `VITE_${name}_MODE`, `"direct" mode puts ${secretVariable} into the JavaScript bundle, which is not allowed in ${profile.label.toLowerCase()}.`,
+                `Remove VITE_${name}_MODE and set ${serverVariable} on the server instead.`);
+        } else if (mode === 'direct' && !secret) {
+            add('error', secretVariable, `"direct" mode needs ${secretVariable}.`,
+                `Set it, or remove VITE_${name}_MODE to use the server-side function.`);
+        }
+
+        if (mode === 'proxy' && !isEndpoint(endpoint)) {
+            add('error', `VITE_${name}_ENDPOINT`, `"${endpoint}" is not a path or http(s) URL.`,
+                'Remove the variable to use the bundled Netlify Function.');
+        }
+    });
+
+    return problems;
+};
+
+// ============================================================================
+// APP CONFIGURATION
+// ============================================================================
+
+/**
+ * The variables this build was made with
+ *
+ * Each is read by name: handing import.meta.env around as a whole would make
+ * Vite embed every VITE_ variable. Secrets are only read in 'direct' mode, so
+ * in the default 'proxy' mode they never reach the bundle.
+ */
+const BUILD_ENV = {
+    DEV: import.meta.env.DEV,
+    VITE_APP_PROFILE: import.meta.env.VITE_APP_PROFILE,
+    VITE_SPOTIFY_API_KEY: import.meta.env.VITE_SPOTIFY_API_KEY,
+    VITE_SPOTIFY_REDIRECT_URI: import.meta.env.VITE_SPOTIFY_REDIRECT_URI,
+    VITE_SPOTIFY_SCOPES: import.meta.env.VITE_SPOTIFY_SCOPES,
+    VITE_SPOTIFY_ACCOUNTS_URL: import.meta.env.VITE_SPOTIFY_ACCOUNTS_URL,
+    VITE_SPOTIFY_API_URL: import.meta.env.VITE_SPOTIFY_API_URL,
+    VITE_SPOTIFY_TOKEN_ENDPOINT: import.meta.env.VITE_SPOTIFY_TOKEN_ENDPOINT,
+    VITE_SPOTIFY_TOKEN_MODE: import.meta.env.VITE_SPOTIFY_TOKEN_MODE,
+    VITE_SPOTIFY_CLIENT_SECRET: import.meta.env.VITE_SPOTIFY_TOKEN_MODE === 'direct' ? import.meta.env.VITE_SPOTIFY_CLIENT_SECRET : undefined,
+    VITE_WEATHER_ENDPOINT: import.meta.env.VITE_WEATHER_ENDPOINT,
+    VITE_WEATHER_MODE: import.meta.env.VITE_WEATHER_MODE,
+    VITE_WEATHER_API_KEY: import.meta.env.VITE_WEATHER_MODE === 'direct' ? import.meta.env.VITE_WEATHER_API_KEY : undefined
+};
+
+/**
+ * Origin the app is running on (a placeholder outside the browser)
+ */
+const currentOrigin = typeof window !== 'undefined' ? window.location.origin : 'http://127.0.0.1:5173';
+
+/**
+ * Configuration for this build and page
+ */
+export const appConfig = resolveConfig(BUILD_ENV, currentOrigin);
+
+/**
+ * @returns {Array<Object>} validateConfig problems for appConfig
+ */
+export const getConfigProblems = () => validateConfig(appConfig, currentOrigin);
@@ -0,0 +1,100 @@
+/**
+ * BLOCKLIST
+ *
+ * Applies the user's blocked artists, genres and title keywords (from
+ * Settings) to the recommendation engine in two places:
+ * - before searching: seeds and queries that mention a blocked term are
+ *   dropped, so no search request is spent on them
+ * - after searching: tracks by blocked artists, with blocked keywords in
+ *   their title, or found through a blocked genre are filtered out
+ *
+ * Matching is case-insensitive and on whole words, so blocking "pop" removes
+ * "k-pop" and "pop punk" but not "popular", and blocking the keyword "love"
+ * doesn't remove "Lovely".
+ *
+ * Search results don't include genres, so a track counts as a blocked genre
+ * when the query that found it names that genre (or, when Spotify includes
+ * full artist objects, when one of its artists is tagged with it).
+ */
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether text contains a term as a whole word (or phrase)
+ *
+ * @param {string} text - Text to search
+ * @param {string} term - Word or phrase to look for
+ * @returns {boolean} True when found
+ */
+const containsTerm = (text, term) => {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'iu');
+    return pattern.test(text || '');
+};
+
+/**
+ * Build a blocklist from the user's settings
+ *
+ * @param {Object} settings - Any object with blockedArtists, blockedGenres and blockedKeywords arrays
+ * @returns {{artists: Array<string>, genres: Array<string>, keywords: Array<string>}} Lower-cased terms
+ */
+export const createBlocklist = ({ blockedArtists = [], blockedGenres = [], blockedKeywords = [] } = {}) => {
+    const clean = (list) => list.map(term => term.trim().toLowerCase()).filter(Boolean);
+
+    return {
+        artists: clean(blockedArtists),
+        genres: clean(blockedGenres),
+        keywords: clean(blockedKeywords)
+    };
+};
+
+/**
+ * @param {Object|null} blocklist - Result of createBlocklist
+ * @returns {boolean} True when nothing is blocked
+ */
+export const isBlocklistEmpty = (blocklist) => {
+    return !blocklist || (blocklist.artists.length === 0 && blocklist.genres.length === 0 && blocklist.keywords.length === 0);
+};
+
+/**
+ * Find the blocked term a search query or seed mentions
+ *
+ * @param {string} query - Search query or strategy seed
+ * @param {Object} blocklist - Result of createBlocklist
+ * @returns {string|null} The blocked term, or null when the query is allowed
+ */
+export const findBlockedQueryTerm = (query, blocklist) => {
+    if (isBlocklistEmpty(blocklist)) return null;
+
+    const terms = [...blocklist.artists, ...blocklist.genres, ...blocklist.keywords];
+    return terms.find(term => containsTerm(query, term)) || null;
+};
+
+/**
+ * Explain why a track is blocked
+ *
+ * @param {Object} track - Spotify track (with search_query from searchTracks)
+ * @param {Object} blocklist - Result of createBlocklist
+ * @returns {string|null} Reason such as 'artist: drake', or null when the track is allowed
+ */
+export const getTrackBlockReason = (track, blocklist) => {
+    if (isBlocklistEmpty(blocklist)) return null;
+
+    const artists = track.artists || [];
+
+    const artist = artists.find(entry => blocklist.artists.includes((entry.name || '').toLowerCase()));
+    if (artist) return `artist: ${artist.name}`;
+
+    const keyword = blocklist.keywords.find(term => containsTerm(track.name, term));
+    if (keyword) return `title keyword: ${keyword}`;
+
+    const genre = blocklist.genres.find(term =>
+        containsTerm(track.search_query, term) ||
+        artists.some(entry => (entry.genres || []).some(tag => containsTerm(tag, term)))
+    );
+    if (genre) return `genre: ${genre}`;
+
+    return null;
+};
@@ -0,0 +1,171 @@
+/**
+ * TYPED ERRORS
+ *
+ * Every failure from the Spotify and weather services is thrown as one of
+ * these types, so callers can branch on `instanceof` instead of matching
+ * error message text:
+ *
+ * - RateLimitError: too many requests (429); retryAfter says how long to wait
+ * - AuthError:      missing, expired or rejected credentials (401, 403 on user data)
+ *                   or a login that couldn't be completed
+ *   - ConsentDeniedError: the user declined Spotify's permission screen
+ * - RegionError:    content not available in the requested markets
+ * - ConfigError:    the app itself is misconfigured (missing or invalid API keys)
+ * - NetworkError:   the service couldn't be reached or failed on its side (5xx)
+ * - NoResultsError: the request worked but nothing usable came back
+ *
+ * All of them extend AppError, which carries the HTTP status (when there was
+ * one) and the underlying cause.
+ */
+
+/**
+ * Base class for every typed error
+ */
+export class AppError extends Error {
+    /**
+     * @param {string} message - Description of the failure
+     * @param {Object} options
+     * @param {number|null} options.status - HTTP status, when the failure came from a response
+     * @param {*} options.cause - Underlying error
+     */
+    constructor(message, { status = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'AppError';
+        this.status = status;
+    }
+}
+
+/**
+ * Too many requests; wait retryAfter seconds before trying again
+ */
+export class RateLimitError extends AppError {
+    /**
+     * @param {string} message - Description of the failure
+     * @param {Object} options - AppError options plus retryAfter (seconds, default 1)
+     */
+    constructor(message, { retryAfter = 1, ...options } = {}) {
+        super(message, { status: 429, ...options });
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Credentials are missing, expired or were rejected
+ */
+export class AuthError extends AppError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * The user declined to grant access on Spotify's permission screen
+ */
+export class ConsentDeniedError extends AuthError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ConsentDeniedError';
+    }
+}
+
+/**
+ * Content isn't available in the requested markets
+ */
+export class RegionError extends AppError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'RegionError';
+    }
+}
+
+/**
+ * The app is misconfigured (e.g. an API key is missing or invalid)
+ */
+export class ConfigError extends AppError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ConfigError';
+    }
+}
+
+/**
+ * The service couldn't be reached or failed on its side
+ */
+export class NetworkError extends AppError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * The request worked but nothing usable came back
+ */
+export class NoResultsError extends AppError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NoResultsError';
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Read a response's Retry-After header
+ *
+ * @param {Response} response - Fetch response
+ * @param {number} fallback - Seconds to use when the header is missing or is a date
+ * @returns {number} Seconds to wait
+ */
+export const getRetryAfter = (response, fallback = 1) => {
+    const seconds = Number(response.headers.get('Retry-After'));
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : fallback;
+};
+
+/**
+ * Build the typed error for a failed response
+ *
+ * - 429 → RateLimitError (with Retry-After)
+ * - 401 → AuthError
+ * - 403 → `Forbidden` (AuthError unless the caller knows better, e.g. RegionError for search)
+ * - 5xx → NetworkError
+ * - anything else → AppError
+ *
+ * @param {Response} response - Fetch response that wasn't ok
+ * @param {string} message - Description of the failure
+ * @param {Function} Forbidden - Error class for 403 responses
+ * @returns {AppError} Error to throw
+ */
+export const createResponseError = (response, message, Forbidden = AuthError) => {
+    const { status } = response;
+
+    if (status === 429) return new RateLimitError(message, { retryAfter: getRetryAfter(response) });
+    if (status === 401) return new AuthError(message, { status });
+    if (status === 403) return new Forbidden(message, { status });
+    if (status >= 500) return new NetworkError(message, { status });
+    return new AppError(message, { status });
+};
+
+/**
+ * fetch, with connection failures turned into NetworkError
+ *
+ * Cancellations (AbortError) are rethrown unchanged.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {string} service - Service name for the error message
+ * @returns {Promise<Response>} The response (not checked for ok)
+ * @throws {NetworkError} When the request couldn't be sent
+ */
+export const fetchWithNetworkErrors = async (url, options = {}, service = 'Spotify') => {
+    try {
+        return await fetch(url, options);
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new NetworkError(`Could not reach ${service} - check your connection`, { cause: error });
+    }
+};
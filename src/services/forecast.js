@@ -0,0 +1,118 @@
+/**
+ * FORECAST HELPERS
+ *
+ * Utilities for working with the OpenWeatherMap 5-day / 3-hour forecast
+ * (see getForecast in api.js).
+ *
+ * The key idea: a forecast block is converted into the same shape as a current
+ * weather response, so the theme system, mood card, weather card and playlist
+ * generator can use it without knowing it came from the forecast.
+ */
+
+/**
+ * Convert a forecast block into a current-weather-shaped payload
+ *
+ * The result carries forecastFor (the block's Unix timestamp in seconds) so
+ * getSolarPhase classifies the block's time rather than the current time.
+ *
+ * @param {Object} forecast - Full getForecast response (needs city)
+ * @param {Object} block - One entry from forecast.list
+ * @returns {Object} Weather payload with name, main, weather, wind, clouds, rain, snow, sys, timezone
+ */
+export const forecastBlockToWeather = (forecast, block) => {
+    const city = forecast.city || {};
+
+    return {
+        name: city.name,
+        coord: city.coord,
+        main: block.main,
+        weather: block.weather,
+        wind: block.wind,
+        clouds: block.clouds,
+        rain: block.rain,
+        snow: block.snow,
+        visibility: block.visibility,
+        sys: {
+            country: city.country,
+            sunrise: city.sunrise,
+            sunset: city.sunset
+        },
+        timezone: city.timezone,
+        dt: block.dt,
+        forecastFor: block.dt
+    };
+};
+
+/**
+ * Shift a Unix timestamp into the location's local time
+ *
+ * The returned Date must be read with UTC getters (getUTCHours etc.).
+ *
+ * @param {number} unixSeconds - UTC timestamp in seconds
+ * @param {number} timezoneOffset - Location's shift from UTC in seconds
+ * @returns {Date} Date whose UTC fields are the location's local time
+ */
+const toLocationDate = (unixSeconds, timezoneOffset = 0) => {
+    return new Date((unixSeconds + timezoneOffset) * 1000);
+};
+
+/**
+ * Format a forecast time as the location's local hour (e.g. "7 AM")
+ *
+ * @param {number} unixSeconds - UTC timestamp in seconds
+ * @param {number} timezoneOffset - Location's shift from UTC in seconds
+ * @returns {string} 12-hour time label
+ */
+export const formatForecastHour = (unixSeconds, timezoneOffset) => {
+    const hours = toLocationDate(unixSeconds, timezoneOffset).getUTCHours();
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12} ${ampm}`;
+};
+
+/**
+ * Format a forecast day in the location's local time (e.g. "Tue 14")
+ *
+ * @param {number} unixSeconds - UTC timestamp in seconds
+ * @param {number} timezoneOffset - Location's shift from UTC in seconds
+ * @returns {string} Short weekday and day of month
+ */
+export const formatForecastDay = (unixSeconds, timezoneOffset) => {
+    const date = toLocationDate(unixSeconds, timezoneOffset);
+    const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][date.getUTCDay()];
+    return `${weekday} ${date.getUTCDate()}`;
+};
+
+/**
+ * Format a forecast time with day and hour (e.g. "Tue 14, 7 AM")
+ *
+ * @param {number} unixSeconds - UTC timestamp in seconds
+ * @param {number} timezoneOffset - Location's shift from UTC in seconds
+ * @returns {string} Day and hour label
+ */
+export const formatForecastTime = (unixSeconds, timezoneOffset) => {
+    return `${formatForecastDay(unixSeconds, timezoneOffset)}, ${formatForecastHour(unixSeconds, timezoneOffset)}`;
+};
+
+/**
+ * Group forecast blocks by the location's local calendar day
+ *
+ * @param {Object} forecast - Full getForecast response
+ * @returns {Array<{day: string, blocks: Array<Object>}>} Days in chronological order
+ */
+export const groupForecastByDay = (forecast) => {
+    const timezoneOffset = forecast?.city?.timezone || 0;
+    const days = [];
+
+    (forecast?.list || []).forEach(block => {
+        const day = formatForecastDay(block.dt, timezoneOffset);
+        const current = days[days.length - 1];
+
+        if (current && current.day === day) {
+            current.blocks.push(block);
+        } else {
+            days.push({ day, blocks: [block] });
+        }
+    });
+
+    return days;
+};
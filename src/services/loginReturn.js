@@ -0,0 +1,110 @@
+/**
+ * LOGIN RETURN
+ *
+ * Remembers what the user was looking at when they left for Spotify's login
+ * page, so they come back to the same view (location, forecast block, a
+ * generated but unsaved playlist, scroll position) instead of starting over.
+ *
+ * Components describe their part of the view as it changes (rememberView).
+ * Right before the redirect, saveViewForLogin stores the combined view in
+ * sessionStorage; after the OAuth callback brings the user back,
+ * getRestoredView hands it out. Views older than MAX_AGE are dropped.
+ *
+ * Stored shape (sessionStorage key weatherbeats_login_return):
+ *   { "savedAt": 1700000000000, "path": "/", "scrollY": 420,
+ *     "location": { "latitude": 45.52, "longitude": -122.68, ... },
+ *     "selectedTime": 1700010800, "playlist": { "forecastFor": null, "tracks": [ ... ] } }
+ */
+
+const STORAGE_KEY = 'weatherbeats_login_return';
+
+/**
+ * Oldest saved view that is still restored
+ */
+const MAX_AGE = 30 * 60 * 1000;
+
+/**
+ * The view as components last described it
+ */
+let currentView = {};
+
+/**
+ * View restored after the callback (undefined until first looked up)
+ */
+let restoredView;
+
+/**
+ * Update part of the current view
+ *
+ * @param {Object} part - e.g. { location, selectedTime } or { playlist }
+ */
+export const rememberView = (part) => {
+    currentView = { ...currentView, ...part };
+};
+
+/**
+ * Store the current view just before redirecting to Spotify
+ */
+export const saveViewForLogin = () => {
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+            ...currentView,
+            path: window.location.pathname + window.location.hash,
+            scrollY: window.scrollY,
+            savedAt: Date.now()
+        }));
+    } catch (error) {
+        console.error('Error saving view for login:', error);
+    }
+};
+
+/**
+ * @param {string} search - Query string to check
+ * @returns {boolean} Whether it is Spotify's OAuth redirect (a code or an error, with a state)
+ */
+export const isAuthCallback = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    return params.has('state') && (params.has('code') || params.has('error'));
+};
+
+/**
+ * The view saved before the login, when this page load is the login's callback
+ *
+ * Read from sessionStorage (and removed there) on the first call; later
+ * calls return the same view.
+ *
+ * @returns {Object|null} Saved view, or null
+ */
+export const getRestoredView = () => {
+    if (restoredView !== undefined) return restoredView;
+    restoredView = null;
+
+    if (!isAuthCallback()) return restoredView;
+
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+        sessionStorage.removeItem(STORAGE_KEY);
+
+        if (saved && typeof saved.savedAt === 'number' && Date.now() - saved.savedAt < MAX_AGE) {
+            console.log('↩️ Restoring the view from before the Spotify login');
+            restoredView = saved;
+        }
+    } catch (error) {
+        console.error('Error reading saved view:', error);
+    }
+    return restoredView;
+};
+
+/**
+ * Take the restored playlist, once
+ *
+ * @param {number|null} forecastFor - Forecast time the playlist view is showing (null for current weather)
+ * @returns {Array<Object>|null} Tracks generated before the login, if they were for the same weather
+ */
+export const takeRestoredPlaylist = (forecastFor) => {
+    const playlist = getRestoredView()?.playlist;
+    if (!playlist) return null;
+
+    restoredView.playlist = null;
+    return playlist.forecastFor === forecastFor && playlist.tracks?.length ? playlist.tracks : null;
+};
@@ -0,0 +1,119 @@
+/**
+ * SPOTIFY MARKETS
+ *
+ * Picks the market (ISO 3166-1 alpha-2 country) that catalog searches run
+ * in, so results are tracks the listener can actually play.
+ *
+ * Resolution order:
+ * 1. The market chosen in Settings (anything but 'auto')
+ * 2. The signed-in user's profile country (where their account plays)
+ * 3. The country of the weather location (OpenWeatherMap sys.country)
+ * 4. The region of the browser's locale
+ * 5. US
+ *
+ * Every candidate is checked against SUPPORTED_MARKETS first: a country
+ * Spotify isn't available in (e.g. CN from a zh-CN locale) is skipped rather
+ * than searched.
+ */
+
+/**
+ * Countries Spotify is available in
+ *
+ * From the Web API's GET /markets. Update when Spotify launches in, or
+ * leaves, a country.
+ */
+export const SUPPORTED_MARKETS = [
+    'AD', 'AE', 'AG', 'AL', 'AM', 'AO', 'AR', 'AT', 'AU', 'AZ', 'BA', 'BB', 'BD', 'BE', 'BF', 'BG',
+    'BH', 'BI', 'BJ', 'BN', 'BO', 'BR', 'BS', 'BT', 'BW', 'BZ', 'CA', 'CD', 'CG', 'CH', 'CI', 'CL',
+    'CM', 'CO', 'CR', 'CV', 'CW', 'CY', 'CZ', 'DE', 'DJ', 'DK', 'DM', 'DO', 'DZ', 'EC', 'EE', 'EG',
+    'ES', 'ET', 'FI', 'FJ', 'FM', 'FR', 'GA', 'GB', 'GD', 'GE', 'GH', 'GM', 'GN', 'GQ', 'GR', 'GT',
+    'GW', 'GY', 'HK', 'HN', 'HR', 'HT', 'HU', 'ID', 'IE', 'IL', 'IN', 'IQ', 'IS', 'IT', 'JM', 'JO',
+    'JP', 'KE', 'KG', 'KH', 'KI', 'KM', 'KN', 'KR', 'KW', 'KZ', 'LA', 'LB', 'LC', 'LI', 'LK', 'LR',
+    'LS', 'LT', 'LU', 'LV', 'LY', 'MA', 'MC', 'MD', 'ME', 'MG', 'MH', 'MK', 'ML', 'MN', 'MO', 'MR',
+    'MT', 'MU', 'MV', 'MW', 'MX', 'MY', 'MZ', 'NA', 'NE', 'NG', 'NI', 'NL', 'NO', 'NP', 'NR', 'NZ',
+    'OM', 'PA', 'PE', 'PG', 'PH', 'PK', 'PL', 'PS', 'PT', 'PW', 'PY', 'QA', 'RO', 'RS', 'RW', 'SA',
+    'SB', 'SC', 'SE', 'SG', 'SI', 'SK', 'SL', 'SM', 'SN', 'SR', 'ST', 'SV', 'SZ', 'TD', 'TG', 'TH',
+    'TJ', 'TL', 'TN', 'TO', 'TR', 'TT', 'TV', 'TW', 'TZ', 'UA', 'UG', 'US', 'UY', 'UZ', 'VC', 'VE',
+    'VN', 'VU', 'WS', 'XK', 'ZA', 'ZM', 'ZW'
+];
+
+/**
+ * Settings value for "resolve the market automatically"
+ */
+export const AUTO_MARKET = 'auto';
+
+/**
+ * Used when nothing else gives a supported market
+ */
+const DEFAULT_MARKET = 'US';
+
+/**
+ * Where a resolved market came from, as shown in Settings
+ */
+export const MARKET_SOURCE_LABELS = {
+    settings: 'chosen in Settings',
+    profile: 'from your Spotify account',
+    location: 'from the weather location',
+    locale: 'from your browser language',
+    default: 'default'
+};
+
+/**
+ * @param {string} code - Country code in any case
+ * @returns {string|null} The upper-case code when Spotify is available there, otherwise null
+ */
+export const toSupportedMarket = (code) => {
+    const market = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    return SUPPORTED_MARKETS.includes(market) ? market : null;
+};
+
+/**
+ * Region of a locale (e.g. de-AT → AT, ja → JP)
+ *
+ * @param {string} locale - BCP 47 locale (defaults to the browser's language)
+ * @returns {string|null} Country code, or null when the locale names none
+ */
+export const getLocaleRegion = (locale = typeof navigator !== 'undefined' ? navigator.language : 'en-US') => {
+    try {
+        return new Intl.Locale(locale).maximize().region || null;
+    } catch {
+        return (locale || '').split('-')[1]?.toUpperCase() || null;
+    }
+};
+
+/**
+ * Pick the search market
+ *
+ * @param {Object} sources
+ * @param {string} sources.override - Settings value (a market code, or AUTO_MARKET)
+ * @param {string} sources.profileCountry - Signed-in user's profile country
+ * @param {string} sources.locationCountry - Weather location's country (sys.country)
+ * @param {string} sources.locale - Browser locale
+ * @returns {{market: string, source: string}} Market and where it came from (see MARKET_SOURCE_LABELS)
+ */
+export const resolveMarket = ({ override, profileCountry, locationCountry, locale } = {}) => {
+    const candidates = [
+        ['settings', override === AUTO_MARKET ? null : override],
+        ['profile', profileCountry],
+        ['location', locationCountry],
+        ['locale', getLocaleRegion(locale)]
+    ];
+
+    for (const [source, code] of candidates) {
+        const market = toSupportedMarket(code);
+        if (market) return { market, source };
+    }
+    return { market: DEFAULT_MARKET, source: 'default' };
+};
+
+/**
+ * @param {string} market - Country code
+ * @returns {string} Country name in the browser's language, or the code
+ */
+export const getMarketName = (market) => {
+    try {
+        return new Intl.DisplayNames([navigator.language], { type: 'region' }).of(market) || market;
+    } catch {
+        return market;
+    }
+};
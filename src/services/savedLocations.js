@@ -0,0 +1,106 @@
+/**
+ * SAVED LOCATIONS
+ *
+ * Keeps the user's saved cities in localStorage so they can switch between
+ * them from the location picker, and fall back to them when geolocation is
+ * denied or unavailable.
+ *
+ * Location shape (shared with App's location state):
+ * - id:        stable key derived from rounded coordinates
+ * - name:      city name
+ * - state:     state/region, or null
+ * - country:   ISO country code
+ * - latitude, longitude
+ */
+
+const STORAGE_KEY = 'weatherbeats_saved_locations';
+
+/**
+ * Upper bound on saved locations so the picker stays usable
+ */
+const MAX_SAVED_LOCATIONS = 10;
+
+/**
+ * Build a stable id for a location
+ *
+ * Coordinates are rounded to 2 decimals (~1 km) so the same city found
+ * through different searches is recognised as one location.
+ *
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string} Location id
+ */
+export const getLocationId = (latitude, longitude) => {
+    return `${latitude.toFixed(2)},${longitude.toFixed(2)}`;
+};
+
+/**
+ * Human-readable name, e.g. "Portland, Oregon, US"
+ *
+ * @param {Object} location - Location with name, state and country
+ * @returns {string} Display name
+ */
+export const formatLocationName = (location) => {
+    return [location.name, location.state, location.country].filter(Boolean).join(', ');
+};
+
+/**
+ * Read saved locations from localStorage
+ *
+ * Corrupt or missing data yields an empty list rather than an error.
+ *
+ * @returns {Array<Object>} Saved locations, most recently saved first
+ */
+export const getSavedLocations = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(stored)
+            ? stored.filter(location => typeof location?.latitude === 'number' && typeof location?.longitude === 'number')
+            : [];
+    } catch (error) {
+        console.error('Error reading saved locations:', error);
+        return [];
+    }
+};
+
+/**
+ * Persist a list of locations
+ *
+ * @param {Array<Object>} locations - Locations to store
+ * @returns {Array<Object>} The stored list
+ */
+const writeSavedLocations = (locations) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(locations));
+    return locations;
+};
+
+/**
+ * Save a location (moving it to the front if it is already saved)
+ *
+ * @param {Object} location - Location with name, state, country, latitude, longitude
+ * @returns {Array<Object>} Updated saved locations
+ */
+export const saveLocation = (location) => {
+    const id = getLocationId(location.latitude, location.longitude);
+    const entry = {
+        id,
+        name: location.name,
+        state: location.state || null,
+        country: location.country || null,
+        latitude: location.latitude,
+        longitude: location.longitude
+    };
+
+    const others = getSavedLocations().filter(saved => saved.id !== id);
+    return writeSavedLocations([entry, ...others].slice(0, MAX_SAVED_LOCATIONS));
+};
+
+/**
+ * Remove a saved location
+ *
+ * @param {string} id - Location id from getLocationId
+ * @returns {Array<Object>} Updated saved locations
+ */
+export const removeSavedLocation = (id) => {
+    return writeSavedLocations(getSavedLocations().filter(saved => saved.id !== id));
+};
@@ -0,0 +1,252 @@
+/**
+ * SEARCH CACHE
+ *
+ * Caches Spotify search results so regenerating a playlist, or coming back
+ * later, doesn't repeat identical /search requests (e.g. `genre:indie` in US).
+ *
+ * Two layers:
+ * - memory: a Map in least-recently-used order, capped at memoryEntries
+ * - IndexedDB (database weatherbeats-search): survives reloads, capped at maxEntries
+ *
+ * Lookups check memory first, then IndexedDB (promoting hits into memory).
+ * Entries expire ttl milliseconds after they were stored. When IndexedDB is
+ * unavailable (private browsing, storage disabled, quota errors) the cache
+ * quietly works from memory only.
+ *
+ * Hit/miss counters are kept for debugging (see getStats).
+ */
+
+const DB_NAME = 'weatherbeats-search';
+const DB_VERSION = 1;
+const STORE_NAME = 'searchResults';
+
+/**
+ * Cache key for a search request
+ *
+ * @param {string} query - Search query
+ * @param {string} market - Market code
+ * @param {number} limit - Result limit
+ * @returns {string} Key such as "US|50|genre:indie"
+ */
+export const getSearchCacheKey = (query, market, limit) => `${market}|${limit}|${query}`;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ *
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} The request's result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Delete expired entries, then the oldest ones until the store fits maxEntries
+ *
+ * Walks the storedAt index oldest first inside the caller's transaction.
+ *
+ * @param {IDBObjectStore} store - Store in a readwrite transaction
+ * @param {number} maxEntries - Size cap
+ * @param {number} ttl - Entry lifetime in milliseconds
+ * @returns {Promise<number>} Number of entries removed
+ */
+const trimStore = (store, maxEntries, ttl) => new Promise((resolve, reject) => {
+    const countRequest = store.count();
+
+    countRequest.onsuccess = () => {
+        let excess = countRequest.result - maxEntries;
+        const expiredBefore = Date.now() - ttl;
+        let removed = 0;
+
+        const cursorRequest = store.index('storedAt').openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || (excess <= 0 && cursor.value.storedAt >= expiredBefore)) {
+                resolve(removed);
+                return;
+            }
+            cursor.delete();
+            removed += 1;
+            excess -= 1;
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    };
+    countRequest.onerror = () => reject(countRequest.error);
+});
+
+export class SearchCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.ttl - Entry lifetime in milliseconds
+     * @param {number} options.maxEntries - Size cap for IndexedDB
+     * @param {number} options.memoryEntries - Size cap for the in-memory front
+     */
+    constructor({ ttl = 6 * 60 * 60 * 1000, maxEntries = 300, memoryEntries = 100 } = {}) {
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.memoryEntries = memoryEntries;
+
+        this.memory = new Map();
+        this.dbPromise = null;
+        this.stats = { hits: 0, memoryHits: 0, storedHits: 0, misses: 0, expired: 0, writes: 0, evictions: 0 };
+    }
+
+    // ========================================================================
+    // STORAGE
+    // ========================================================================
+
+    /**
+     * Open (and on first use create) the IndexedDB database
+     *
+     * @returns {Promise<IDBDatabase|null>} The database, or null when IndexedDB can't be used
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    const request = indexedDB.open(DB_NAME, DB_VERSION);
+                    request.onupgradeneeded = () => {
+                        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                        store.createIndex('storedAt', 'storedAt');
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('Search cache: IndexedDB unavailable, using memory only:', request.error);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    console.warn('Search cache: IndexedDB unavailable, using memory only:', error);
+                    resolve(null);
+                }
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run an operation against the IndexedDB store
+     *
+     * Never throws: storage failures are logged and yield null.
+     *
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store; returns a promise
+     * @returns {Promise<*>} The operation's result, or null
+     */
+    async withStore(mode, operation) {
+        const db = await this.openDatabase();
+        if (!db) return null;
+
+        try {
+            return await operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        } catch (error) {
+            console.warn('Search cache: storage operation failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Put an entry into the memory front, evicting the least recently used
+     *
+     * @param {Object} entry - { key, value, storedAt }
+     */
+    remember(entry) {
+        this.memory.delete(entry.key);
+        this.memory.set(entry.key, entry);
+
+        while (this.memory.size > this.memoryEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * Look up a cached value
+     *
+     * @param {string} key - Key from getSearchCacheKey
+     * @returns {Promise<*>} The cached value, or undefined on a miss (or an expired entry)
+     */
+    async get(key) {
+        const now = Date.now();
+
+        const cached = this.memory.get(key);
+        if (cached && now - cached.storedAt < this.ttl) {
+            this.remember(cached);
+            this.stats.hits += 1;
+            this.stats.memoryHits += 1;
+            return cached.value;
+        }
+        if (cached) this.memory.delete(key);
+
+        const stored = await this.withStore('readonly', store => promisifyRequest(store.get(key)));
+        if (stored && now - stored.storedAt < this.ttl) {
+            this.remember(stored);
+            this.stats.hits += 1;
+            this.stats.storedHits += 1;
+            return stored.value;
+        }
+
+        if (cached || stored) this.stats.expired += 1;
+        this.stats.misses += 1;
+        return undefined;
+    }
+
+    /**
+     * Store a value
+     *
+     * The memory front is updated immediately; IndexedDB is written (and
+     * trimmed to the size cap) in the background.
+     *
+     * @param {string} key - Key from getSearchCacheKey
+     * @param {*} value - Structured-cloneable value
+     * @returns {Promise<void>} Resolves when IndexedDB has been written
+     */
+    async set(key, value) {
+        const entry = { key, value, storedAt: Date.now() };
+        this.remember(entry);
+        this.stats.writes += 1;
+
+        const removed = await this.withStore('readwrite', store => {
+            store.put(entry);
+            return trimStore(store, this.maxEntries, this.ttl);
+        });
+        this.stats.evictions += removed || 0;
+    }
+
+    /**
+     * Remove every cached entry (statistics are kept)
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.memory.clear();
+        await this.withStore('readwrite', store => promisifyRequest(store.clear()));
+    }
+
+    /**
+     * Hit/miss statistics since the page loaded
+     *
+     * @returns {Object} Counters plus lookups, hitRate (0 to 1), memorySize and the configured limits
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+
+        return {
+            ...this.stats,
+            lookups,
+            hitRate: lookups ? this.stats.hits / lookups : 0,
+            memorySize: this.memory.size,
+            ttl: this.ttl,
+            maxEntries: this.maxEntries
+        };
+    }
+}
@@ -0,0 +1,375 @@
+import { useSyncExternalStore } from 'react';
+import { UNIT_SYSTEMS, getDefaultUnits } from './units';
+import { SUPPORTED_MARKETS, AUTO_MARKET } from './markets';
+
+/**
+ * SETTINGS STORE
+ *
+ * Single source of truth for user preferences. Settings are typed, validated
+ * against a schema, persisted to localStorage with a schema version, and
+ * migrated forward when an older version is loaded.
+ *
+ * Components read and update settings through the useSettings hook, so every
+ * view stays in sync without threading settings through props. Settings can
+ * also be exported to and imported from JSON.
+ *
+ * Stored shape (localStorage key weatherbeats_settings):
+ *   { "version": 5, "settings": { "playlistLength": 20, "isExplicit": false, "units": "metric", ... } }
+ *
+ * Version history:
+ * - 1: { playlistLength, isExplicit } (playlistLength was sometimes a string)
+ * - 2: adds units
+ * - 3: adds blockedArtists, blockedGenres, blockedKeywords
+ * - 4: adds personalizationStrength
+ * - 5: adds market (Spotify search market, 'auto' to resolve it)
+ */
+
+const STORAGE_KEY = 'weatherbeats_settings';
+
+/**
+ * Current settings schema version
+ */
+export const SETTINGS_VERSION = 5;
+
+/**
+ * Schema for every setting
+ *
+ * - integer: whole number between min and max (numeric strings are converted)
+ * - boolean: true/false
+ * - enum:    one of options
+ * - list:    array of at most maxItems non-empty strings (trimmed, duplicates removed)
+ */
+export const SETTINGS_SCHEMA = {
+    playlistLength: { type: 'integer', min: 1, max: 100 },
+    isExplicit: { type: 'boolean' },
+    units: { type: 'enum', options: UNIT_SYSTEMS },
+    blockedArtists: { type: 'list', maxItems: 100 },
+    blockedGenres: { type: 'list', maxItems: 100 },
+    blockedKeywords: { type: 'list', maxItems: 100 },
+    personalizationStrength: { type: 'integer', min: 0, max: 100 },
+    market: { type: 'enum', options: [AUTO_MARKET, ...SUPPORTED_MARKETS] }
+};
+
+/**
+ * Settings used for anything missing or invalid
+ *
+ * @returns {Object} Default settings (units from the user's locale)
+ */
+export const getDefaultSettings = () => ({
+    playlistLength: 10,
+    isExplicit: false,
+    units: getDefaultUnits(),
+    blockedArtists: [],
+    blockedGenres: [],
+    blockedKeywords: [],
+    personalizationStrength: 50,
+    market: AUTO_MARKET
+});
+
+/**
+ * Upgrades from each version to the next
+ *
+ * Each migration receives the settings of version N and returns version N + 1.
+ */
+const MIGRATIONS = {
+    1: (settings) => ({
+        ...settings,
+        playlistLength: Number(settings.playlistLength),
+        units: settings.units || getDefaultUnits()
+    }),
+    2: (settings) => ({
+        ...settings,
+        blockedArtists: settings.blockedArtists || [],
+        blockedGenres: settings.blockedGenres || [],
+        blockedKeywords: settings.blockedKeywords || []
+    }),
+    3: (settings) => ({
+        ...settings,
+        personalizationStrength: settings.personalizationStrength ?? 50
+    }),
+    4: (settings) => ({
+        ...settings,
+        market: settings.market ?? AUTO_MARKET
+    })
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Convert a raw value to a setting's type
+ *
+ * @param {*} value - Raw value
+ * @param {Object} rule - Entry from SETTINGS_SCHEMA
+ * @returns {*} Converted value, or undefined when it can't be used
+ */
+const coerceSetting = (value, rule) => {
+    if (rule.type === 'integer') {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return Number.isInteger(number) && number >= rule.min && number <= rule.max ? number : undefined;
+    }
+    if (rule.type === 'boolean') {
+        return typeof value === 'boolean' ? value : undefined;
+    }
+    if (rule.type === 'enum') {
+        return rule.options.includes(value) ? value : undefined;
+    }
+    if (rule.type === 'list') {
+        if (!Array.isArray(value) || value.length > rule.maxItems || value.some(item => typeof item !== 'string')) {
+            return undefined;
+        }
+        const seen = new Set();
+        return value.map(item => item.trim()).filter(item => {
+            const key = item.toLowerCase();
+            if (!item || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+    return undefined;
+};
+
+/**
+ * Collect every problem with a settings object
+ *
+ * @param {Object} settings - Settings to check
+ * @returns {Array<string>} Human-readable problems (empty when valid)
+ */
+export const findSettingsProblems = (settings) => {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ['Settings must be an object'];
+    }
+
+    const problems = [];
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, rule]) => {
+        if (!(key in settings)) return;
+        if (coerceSetting(settings[key], rule) === undefined) {
+            const expected = rule.type === 'integer' ? `a whole number from ${rule.min} to ${rule.max}`
+                : rule.type === 'enum' ? `one of ${rule.options.join(', ')}`
+                : rule.type === 'list' ? `a list of at most ${rule.maxItems} strings`
+                : `a ${rule.type}`;
+            problems.push(`${key} must be ${expected}`);
+        }
+    });
+
+    Object.keys(settings).forEach(key => {
+        if (!SETTINGS_SCHEMA[key]) problems.push(`${key} is not a known setting`);
+    });
+
+    return problems;
+};
+
+/**
+ * Throw if settings are invalid
+ *
+ * @param {Object} settings - Settings to check
+ * @throws {Error} Lists every problem found
+ */
+export const validateSettings = (settings) => {
+    const problems = findSettingsProblems(settings);
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid settings - ${problems.join('; ')}`);
+    }
+};
+
+/**
+ * Build a complete, typed settings object
+ *
+ * Known settings are converted to their type; anything missing or invalid
+ * falls back to its default and unknown keys are dropped.
+ *
+ * @param {Object} settings - Partial or untrusted settings
+ * @returns {Object} Complete settings
+ */
+export const normalizeSettings = (settings) => {
+    const defaults = getDefaultSettings();
+    const source = settings && typeof settings === 'object' ? settings : {};
+
+    return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => {
+        const value = coerceSetting(source[key], rule);
+        return [key, value === undefined ? defaults[key] : value];
+    }));
+};
+
+// ============================================================================
+// MIGRATION AND SERIALISATION
+// ============================================================================
+
+/**
+ * Bring stored settings up to the current version
+ *
+ * Data without a version is treated as version 1 (the original unversioned
+ * { playlistLength, isExplicit } shape).
+ *
+ * @param {Object} stored - { version, settings } or bare version 1 settings
+ * @returns {Object} Settings in the current version's shape (not yet normalised)
+ * @throws {Error} When the data comes from a newer, unknown version
+ */
+export const migrateSettings = (stored) => {
+    const isWrapped = stored && typeof stored === 'object' && 'settings' in stored;
+    let version = isWrapped ? Number(stored.version) || 1 : 1;
+    let settings = isWrapped ? stored.settings : stored;
+
+    if (version > SETTINGS_VERSION) {
+        throw new Error(`Settings version ${version} is newer than this app supports (${SETTINGS_VERSION})`);
+    }
+
+    while (version < SETTINGS_VERSION) {
+        settings = MIGRATIONS[version](settings || {});
+        version += 1;
+    }
+
+    return settings;
+};
+
+/**
+ * Read settings from localStorage
+ *
+ * Never throws: corrupt, unreadable or future-version data yields defaults.
+ *
+ * @returns {Object} Complete settings
+ */
+export const loadSettings = () => {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (!raw) return getDefaultSettings();
+        return normalizeSettings(migrateSettings(JSON.parse(raw)));
+    } catch (error) {
+        console.error('Error loading settings, using defaults:', error);
+        return getDefaultSettings();
+    }
+};
+
+/**
+ * Write settings to localStorage with the current version
+ *
+ * @param {Object} settings - Complete, valid settings
+ */
+const persistSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, settings }));
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+};
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Current settings (loaded lazily) and change listeners
+ */
+let currentSettings = null;
+const listeners = new Set();
+
+const notifyListeners = () => listeners.forEach(listener => listener());
+
+/**
+ * @returns {Object} Current settings
+ */
+export const getSettings = () => {
+    if (!currentSettings) {
+        currentSettings = loadSettings();
+    }
+    return currentSettings;
+};
+
+/**
+ * Update some settings
+ *
+ * @param {Object} changes - Settings to change
+ * @returns {Object} The new settings
+ * @throws {Error} When a change is invalid (settings are left untouched)
+ */
+export const updateSettings = (changes) => {
+    const merged = { ...getSettings(), ...changes };
+    validateSettings(merged);
+
+    currentSettings = normalizeSettings(merged);
+    persistSettings(currentSettings);
+    notifyListeners();
+    return currentSettings;
+};
+
+/**
+ * Restore default settings
+ *
+ * @returns {Object} The default settings
+ */
+export const resetSettings = () => {
+    currentSettings = getDefaultSettings();
+    persistSettings(currentSettings);
+    notifyListeners();
+    return currentSettings;
+};
+
+/**
+ * Serialise the current settings for download
+ *
+ * @returns {string} Pretty-printed JSON with version and settings
+ */
+export const exportSettings = () => {
+    return JSON.stringify({ version: SETTINGS_VERSION, settings: getSettings() }, null, 2);
+};
+
+/**
+ * Replace settings with previously exported JSON
+ *
+ * Older versions are migrated; missing settings fall back to defaults.
+ *
+ * @param {string} json - Output of exportSettings (or a bare settings object)
+ * @returns {Object} The imported settings
+ * @throws {Error} When the JSON is malformed, from a newer version or invalid
+ */
+export const importSettings = (json) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch {
+        throw new Error('Settings file is not valid JSON');
+    }
+
+    const migrated = migrateSettings(parsed);
+    validateSettings(migrated);
+
+    currentSettings = normalizeSettings(migrated);
+    persistSettings(currentSettings);
+    notifyListeners();
+    return currentSettings;
+};
+
+/**
+ * Subscribe to settings changes, including changes made in other tabs
+ *
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSettings = (listener) => {
+    const handleStorage = (event) => {
+        if (event.key !== STORAGE_KEY) return;
+        currentSettings = loadSettings();
+        listener();
+    };
+
+    listeners.add(listener);
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+        listeners.delete(listener);
+        window.removeEventListener('storage', handleStorage);
+    };
+};
+
+/**
+ * React Hook for reading and updating settings
+ *
+ * @returns {[Object, Function]} Current settings and updateSettings
+ */
+export const useSettings = () => {
+    const settings = useSyncExternalStore(subscribeToSettings, getSettings);
+    return [settings, updateSettings];
+};
@@ -0,0 +1,127 @@
+/**
+ * SOLAR PHASE HELPER
+ *
+ * Decides where the sun is for the location being viewed, using the sunrise,
+ * sunset and timezone fields OpenWeatherMap already returns:
+ * - sys.sunrise / sys.sunset: Unix timestamps (seconds, UTC)
+ * - timezone: shift from UTC in seconds for the location
+ *
+ * This replaces the old "6 AM to 6 PM in the browser's timezone" rule, which was
+ * wrong across seasons, at high latitudes and for cities in other timezones.
+ *
+ * Phases (in order through the day):
+ * - dawn:       30 minutes either side of sunrise
+ * - day:        after dawn until golden hour
+ * - goldenHour: the last hour before sunset
+ * - dusk:       the 45 minutes after sunset
+ * - night:      everything else
+ */
+
+const MINUTE = 60;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Phase window sizes in seconds
+ */
+const DAWN_HALF_WINDOW = 30 * MINUTE;
+const GOLDEN_HOUR_LENGTH = 60 * MINUTE;
+const DUSK_LENGTH = 45 * MINUTE;
+
+/**
+ * Every phase getSolarPhase can report
+ */
+export const SOLAR_PHASES = ['dawn', 'day', 'goldenHour', 'dusk', 'night'];
+
+/**
+ * Seconds since local midnight at the location
+ *
+ * @param {number} unixSeconds - UTC timestamp in seconds
+ * @param {number} timezoneOffset - Location's shift from UTC in seconds
+ * @returns {number} Seconds since local midnight (0 to 86399)
+ */
+const secondsOfLocalDay = (unixSeconds, timezoneOffset) => {
+    return (((unixSeconds + timezoneOffset) % DAY) + DAY) % DAY;
+};
+
+/**
+ * Seconds from the most recent sunrise (at the same time of day) to a moment
+ *
+ * Working from sunrise rather than local midnight keeps the day in one
+ * piece when the local sunset falls after midnight (high latitudes in
+ * summer), and lets the same sunrise/sunset pair classify forecast times on
+ * neighbouring days.
+ *
+ * @param {number} unixSeconds - UTC timestamp in seconds
+ * @param {number} sunrise - Sunrise as a UTC timestamp in seconds
+ * @returns {number} Seconds since sunrise (0 to 86399)
+ */
+const secondsSinceSunrise = (unixSeconds, sunrise) => {
+    return (((unixSeconds - sunrise) % DAY) + DAY) % DAY;
+};
+
+/**
+ * Classify a moment against sunrise and sunset
+ *
+ * @param {number} sinceSunrise - Seconds since sunrise (see secondsSinceSunrise)
+ * @param {number} dayLength - Seconds from sunrise to sunset
+ * @returns {string} One of SOLAR_PHASES
+ */
+const classifyTimeOfDay = (sinceSunrise, dayLength) => {
+    if (sinceSunrise < DAWN_HALF_WINDOW || sinceSunrise >= DAY - DAWN_HALF_WINDOW) return 'dawn';
+    if (sinceSunrise >= dayLength - GOLDEN_HOUR_LENGTH && sinceSunrise < dayLength) return 'goldenHour';
+    if (sinceSunrise >= dayLength && sinceSunrise < dayLength + DUSK_LENGTH) return 'dusk';
+    if (sinceSunrise < dayLength) return 'day';
+    return 'night';
+};
+
+/**
+ * Fallback when the weather payload has no usable sunrise/sunset
+ *
+ * Happens during polar day/night and before weather data has loaded.
+ * Uses the location's local hour when a timezone is known, otherwise the
+ * browser's, with 6 AM to 6 PM counted as daytime.
+ *
+ * @param {number} nowSeconds - UTC timestamp in seconds
+ * @param {number|undefined} timezoneOffset - Location's shift from UTC in seconds
+ * @returns {string} 'day' or 'night'
+ */
+const phaseFromClock = (nowSeconds, timezoneOffset) => {
+    const hour = typeof timezoneOffset === 'number'
+        ? Math.floor(secondsOfLocalDay(nowSeconds, timezoneOffset) / 3600)
+        : new Date(nowSeconds * 1000).getHours();
+    return hour >= 6 && hour < 18 ? 'day' : 'night';
+};
+
+/**
+ * Determine the solar phase for a weather payload
+ *
+ * @param {Object|null} weatherData - OpenWeatherMap current-weather response (or a
+ *   forecast block converted by forecastBlockToWeather)
+ * @param {number} now - Moment to classify in milliseconds (defaults to the forecast
+ *   block's time when weatherData.forecastFor is set, otherwise now)
+ * @returns {{phase: string, isDay: boolean, sunrise: number|null, sunset: number|null}}
+ *   phase is one of SOLAR_PHASES; isDay is true between sunrise and sunset;
+ *   sunrise/sunset are the UTC timestamps used (seconds) or null when unavailable
+ */
+export const getSolarPhase = (weatherData, now = weatherData?.forecastFor ? weatherData.forecastFor * 1000 : Date.now()) => {
+    const nowSeconds = Math.floor(now / 1000);
+    const sunrise = weatherData?.sys?.sunrise;
+    const sunset = weatherData?.sys?.sunset;
+    const timezoneOffset = weatherData?.timezone;
+
+    if (!sunrise || !sunset || typeof timezoneOffset !== 'number') {
+        const phase = phaseFromClock(nowSeconds, timezoneOffset);
+        return { phase, isDay: phase === 'day', sunrise: null, sunset: null };
+    }
+
+    const sinceSunrise = secondsSinceSunrise(nowSeconds, sunrise);
+    const dayLength = secondsSinceSunrise(sunset, sunrise);
+    const phase = classifyTimeOfDay(sinceSunrise, dayLength);
+
+    return {
+        phase,
+        isDay: sinceSunrise < dayLength,
+        sunrise,
+        sunset
+    };
+};
@@ -0,0 +1,402 @@
+/**
+ * TOKEN STORE
+ *
+ * Holds the signed-in user's Spotify tokens for every SpotifyAuth instance,
+ * so a refresh done by one component is seen by all of them, and keeps open
+ * tabs in step.
+ *
+ * Where tokens live:
+ * - This tab: access token, refresh token, expiry and granted scopes in
+ *   memory and sessionStorage (spotify_access_token, spotify_refresh_token,
+ *   spotify_token_expiry, spotify_token_scope), gone when the tab closes
+ * - "Stay signed in" (opt-in, per device): the refresh token is also kept in
+ *   localStorage (weatherbeats_persisted_login), encrypted with AES-GCM under
+ *   a non-extractable key held in IndexedDB (database weatherbeats-auth). A
+ *   copy of the stored value can't be decrypted anywhere else, and the key
+ *   itself can't be read out. Logins unused for PERSISTED_LOGIN_MAX_AGE are
+ *   dropped.
+ *
+ * Tab sync (BroadcastChannel weatherbeats-auth, or storage events on the
+ * weatherbeats_auth_sync key where BroadcastChannel is missing):
+ * - tokens: a tab signed in or refreshed; the others adopt the new tokens
+ *   (Spotify rotates refresh tokens, so the old one may no longer work)
+ * - logout: a tab signed out; the others clear their tokens too
+ * - hello:  a new tab asks whether another one is already signed in
+ *
+ * Stored shape (localStorage key weatherbeats_persisted_login):
+ *   { "iv": "base64", "data": "base64", "savedAt": 1700000000000 }
+ */
+
+const ACCESS_TOKEN_KEY = 'spotify_access_token';
+const REFRESH_TOKEN_KEY = 'spotify_refresh_token';
+const TOKEN_EXPIRY_KEY = 'spotify_token_expiry';
+const TOKEN_SCOPE_KEY = 'spotify_token_scope';
+
+const STAY_SIGNED_IN_KEY = 'weatherbeats_stay_signed_in';
+const PERSISTED_LOGIN_KEY = 'weatherbeats_persisted_login';
+
+const SYNC_CHANNEL = 'weatherbeats-auth';
+const SYNC_STORAGE_KEY = 'weatherbeats_auth_sync';
+
+const DB_NAME = 'weatherbeats-auth';
+const DB_VERSION = 1;
+const STORE_NAME = 'keys';
+const KEY_ID = 'refresh-token';
+
+/**
+ * How long a persisted login survives without being used
+ */
+const PERSISTED_LOGIN_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * This tab's tokens (null until first read from sessionStorage)
+ */
+let tokens = null;
+
+/**
+ * Called with the new tokens (or null) whenever they change
+ */
+const listeners = new Set();
+
+/**
+ * BroadcastChannel, or null when falling back to storage events
+ */
+let channel = null;
+
+/**
+ * Pending IndexedDB key lookup
+ */
+let keyPromise = null;
+
+// ============================================================================
+// THIS TAB'S TOKENS
+// ============================================================================
+
+/**
+ * @returns {Object} Tokens with nothing signed in
+ */
+const emptyTokens = () => ({ accessToken: null, refreshToken: null, expiresAt: 0, scope: null });
+
+/**
+ * Load this tab's tokens on first use and start listening to other tabs
+ *
+ * @returns {Object} { accessToken, refreshToken, expiresAt, scope }
+ */
+const loadTokens = () => {
+    if (tokens) return tokens;
+
+    tokens = {
+        accessToken: sessionStorage.getItem(ACCESS_TOKEN_KEY),
+        refreshToken: sessionStorage.getItem(REFRESH_TOKEN_KEY),
+        expiresAt: parseInt(sessionStorage.getItem(TOKEN_EXPIRY_KEY) || '0'),
+        scope: sessionStorage.getItem(TOKEN_SCOPE_KEY)
+    };
+    startSync();
+    return tokens;
+};
+
+/**
+ * Replace this tab's tokens and tell the listeners
+ *
+ * @param {Object} next - { accessToken, refreshToken, expiresAt, scope }
+ */
+const storeTokens = (next) => {
+    tokens = { ...next };
+
+    if (tokens.accessToken) {
+        sessionStorage.setItem(ACCESS_TOKEN_KEY, tokens.accessToken);
+        sessionStorage.setItem(TOKEN_EXPIRY_KEY, tokens.expiresAt.toString());
+        sessionStorage.setItem(TOKEN_SCOPE_KEY, tokens.scope || '');
+    } else {
+        sessionStorage.removeItem(ACCESS_TOKEN_KEY);
+        sessionStorage.removeItem(TOKEN_EXPIRY_KEY);
+        sessionStorage.removeItem(TOKEN_SCOPE_KEY);
+    }
+    if (tokens.refreshToken) {
+        sessionStorage.setItem(REFRESH_TOKEN_KEY, tokens.refreshToken);
+    } else {
+        sessionStorage.removeItem(REFRESH_TOKEN_KEY);
+    }
+
+    listeners.forEach(listener => listener(tokens.accessToken ? tokens : null));
+};
+
+/**
+ * @returns {Object} This tab's { accessToken, refreshToken, expiresAt, scope }
+ */
+export const getUserTokens = () => ({ ...loadTokens() });
+
+/**
+ * Store new tokens after a login or refresh
+ *
+ * Other tabs receive them, and with "stay signed in" the refresh token is
+ * persisted (in the background; a failure only means the login isn't kept).
+ *
+ * @param {Object} next - { accessToken, refreshToken, expiresAt, scope }
+ */
+export const setUserTokens = (next) => {
+    loadTokens();
+    storeTokens(next);
+    broadcast({ type: 'tokens', tokens: next });
+
+    if (isStaySignedIn() && next.refreshToken) {
+        persistRefreshToken(next.refreshToken);
+    }
+};
+
+/**
+ * Sign out in this tab and every other one, and forget a persisted login
+ */
+export const clearUserTokens = () => {
+    loadTokens();
+    storeTokens(emptyTokens());
+    clearPersistedLogin();
+    broadcast({ type: 'logout' });
+};
+
+/**
+ * Follow token changes (from this tab or another one)
+ *
+ * @param {Function} listener - Called with { accessToken, refreshToken, expiresAt, scope }, or null when signed out
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToTokens = (listener) => {
+    loadTokens();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// ============================================================================
+// TAB SYNC
+// ============================================================================
+
+/**
+ * Apply a message from another tab
+ *
+ * @param {Object} message - { type, tokens }
+ */
+const handleSyncMessage = (message) => {
+    if (message?.type === 'tokens' && message.tokens?.accessToken && message.tokens.expiresAt >= tokens.expiresAt) {
+        // Older tokens (e.g. a slow reply to hello) never replace newer ones
+        storeTokens(message.tokens);
+    } else if (message?.type === 'logout' && (tokens.accessToken || tokens.refreshToken)) {
+        console.log('👋 Signed out in another tab');
+        storeTokens(emptyTokens());
+    } else if (message?.type === 'hello' && tokens.accessToken && Date.now() < tokens.expiresAt) {
+        broadcast({ type: 'tokens', tokens });
+    }
+};
+
+/**
+ * Send a message to the other tabs
+ *
+ * @param {Object} message - { type, tokens }
+ */
+const broadcast = (message) => {
+    try {
+        if (channel) {
+            channel.postMessage(message);
+        } else {
+            // Other tabs get a storage event for the write; the value is removed straight away
+            localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...message, sentAt: Date.now() }));
+            localStorage.removeItem(SYNC_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('Auth sync: message not sent:', error);
+    }
+};
+
+/**
+ * Listen for other tabs and ask whether one is already signed in
+ */
+const startSync = () => {
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(SYNC_CHANNEL);
+        channel.onmessage = (event) => handleSyncMessage(event.data);
+    } else {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== SYNC_STORAGE_KEY || !event.newValue) return;
+            try {
+                handleSyncMessage(JSON.parse(event.newValue));
+            } catch {
+                // Not a sync message
+            }
+        });
+    }
+
+    if (!tokens.accessToken) broadcast({ type: 'hello' });
+};
+
+// ============================================================================
+// STAY SIGNED IN - ENCRYPTED REFRESH TOKEN
+// ============================================================================
+
+/**
+ * @returns {boolean} Whether this browser can keep an encrypted login (IndexedDB and Web Crypto)
+ */
+export const canStaySignedIn = () => typeof indexedDB !== 'undefined' && Boolean(window.crypto?.subtle);
+
+/**
+ * @returns {boolean} Whether the user opted in to staying signed in on this device
+ */
+export const isStaySignedIn = () => {
+    try {
+        return localStorage.getItem(STAY_SIGNED_IN_KEY) === 'true';
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Opt in or out of staying signed in
+ *
+ * Opting in while signed in persists the current refresh token; opting out
+ * removes the persisted one (the login still lasts until the tab closes).
+ *
+ * @param {boolean} enabled - Keep the login after the browser closes
+ * @returns {Promise<void>}
+ */
+export const setStaySignedIn = async (enabled) => {
+    try {
+        if (enabled) {
+            localStorage.setItem(STAY_SIGNED_IN_KEY, 'true');
+        } else {
+            localStorage.removeItem(STAY_SIGNED_IN_KEY);
+        }
+    } catch (error) {
+        console.warn('Could not save the stay signed in preference:', error);
+    }
+
+    const { refreshToken } = loadTokens();
+    if (enabled && refreshToken) {
+        await persistRefreshToken(refreshToken);
+    } else if (!enabled) {
+        clearPersistedLogin();
+    }
+};
+
+/**
+ * @returns {boolean} Whether a persisted login is waiting to be restored
+ */
+export const hasPersistedLogin = () => {
+    try {
+        return isStaySignedIn() && localStorage.getItem(PERSISTED_LOGIN_KEY) !== null;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Remove the persisted login
+ */
+const clearPersistedLogin = () => {
+    try {
+        localStorage.removeItem(PERSISTED_LOGIN_KEY);
+    } catch {
+        // Storage unavailable - nothing was persisted
+    }
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ *
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} The request's result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Load the encryption key from IndexedDB, creating it on first use
+ *
+ * The key is generated non-extractable: it can encrypt and decrypt here but
+ * its bytes can't be read, not even by this page.
+ *
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+const getEncryptionKey = () => {
+    if (!keyPromise) {
+        keyPromise = (async () => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            const db = await promisifyRequest(request);
+
+            const existing = await promisifyRequest(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(KEY_ID));
+            if (existing) return existing;
+
+            const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            await promisifyRequest(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(key, KEY_ID));
+            return key;
+        })();
+        // Let the next call try again after a failure
+        keyPromise.catch(() => { keyPromise = null; });
+    }
+    return keyPromise;
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} Base64
+ */
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+
+/**
+ * @param {string} base64 - Base64
+ * @returns {Uint8Array} Bytes
+ */
+const fromBase64 = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+/**
+ * Encrypt and persist a refresh token
+ *
+ * Never throws: without IndexedDB or Web Crypto the login simply isn't kept.
+ *
+ * @param {string} refreshToken - Token to keep
+ * @returns {Promise<void>}
+ */
+const persistRefreshToken = async (refreshToken) => {
+    if (!canStaySignedIn()) return;
+
+    try {
+        const key = await getEncryptionKey();
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const data = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(refreshToken));
+
+        // Opting out or signing out while encrypting wins
+        if (!isStaySignedIn() || loadTokens().refreshToken !== refreshToken) return;
+
+        localStorage.setItem(PERSISTED_LOGIN_KEY, JSON.stringify({ iv: toBase64(iv), data: toBase64(data), savedAt: Date.now() }));
+    } catch (error) {
+        console.warn('Could not keep the Spotify login on this device:', error);
+    }
+};
+
+/**
+ * Decrypt the persisted refresh token
+ *
+ * Logins older than PERSISTED_LOGIN_MAX_AGE, or that can't be decrypted
+ * (e.g. site data partly cleared), are removed.
+ *
+ * @returns {Promise<string|null>} Refresh token, or null
+ */
+export const loadPersistedRefreshToken = async () => {
+    if (!hasPersistedLogin() || !canStaySignedIn()) return null;
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(PERSISTED_LOGIN_KEY));
+        if (!saved?.iv || !saved?.data || !(Date.now() - saved.savedAt < PERSISTED_LOGIN_MAX_AGE)) {
+            clearPersistedLogin();
+            return null;
+        }
+
+        const key = await getEncryptionKey();
+        const decrypted = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(saved.iv) }, key, fromBase64(saved.data));
+        return new TextDecoder().decode(decrypted);
+    } catch (error) {
+        console.warn('Persisted Spotify login could not be read, dropping it:', error);
+        clearPersistedLogin();
+        return null;
+    }
+};
@@ -0,0 +1,97 @@
+/**
+ * UNIT SYSTEMS
+ *
+ * OpenWeatherMap returns values in one of three unit systems depending on the
+ * `units` query parameter:
+ * - metric:   °C, wind in m/s
+ * - imperial: °F, wind in mph
+ * - standard: K,  wind in m/s
+ * Visibility is always reported in meters.
+ *
+ * The preference is stored with the playlist settings and sent with every
+ * weather request, so values arrive in the chosen system and only need
+ * formatting for display.
+ */
+
+/**
+ * Every unit system the weather API accepts
+ */
+export const UNIT_SYSTEMS = ['metric', 'imperial', 'standard'];
+
+/**
+ * Labels shown in Settings
+ */
+export const UNIT_LABELS = {
+    metric: 'Metric (°C, km/h, km)',
+    imperial: 'Imperial (°F, mph, mi)',
+    standard: 'Standard (K, m/s, km)'
+};
+
+/**
+ * Regions that use imperial units for everyday weather
+ * (United States and its territories, Liberia, Myanmar)
+ */
+const IMPERIAL_REGIONS = ['US', 'PR', 'GU', 'VI', 'AS', 'MP', 'UM', 'LR', 'MM'];
+
+/**
+ * Pick a default unit system from the user's locale
+ *
+ * @param {string} locale - BCP 47 locale (defaults to the browser's language)
+ * @returns {string} 'imperial' for imperial regions, otherwise 'metric'
+ */
+export const getDefaultUnits = (locale = typeof navigator !== 'undefined' ? navigator.language : 'en-US') => {
+    let region = null;
+
+    try {
+        region = new Intl.Locale(locale).maximize().region;
+    } catch {
+        region = (locale || '').split('-')[1]?.toUpperCase() || null;
+    }
+
+    return IMPERIAL_REGIONS.includes(region) ? 'imperial' : 'metric';
+};
+
+/**
+ * Format a temperature that is already in the given unit system
+ *
+ * @param {number} value - Temperature from the API
+ * @param {string} units - Unit system the value is in
+ * @returns {string} e.g. "21°C", "70°F", "294K"
+ */
+export const formatTemperature = (value, units) => {
+    const rounded = Math.round(value);
+    if (units === 'metric') return `${rounded}°C`;
+    if (units === 'standard') return `${rounded}K`;
+    return `${rounded}°F`;
+};
+
+/**
+ * Format a wind speed that is already in the given unit system
+ *
+ * Metric shows km/h (the everyday unit) converted from the API's m/s.
+ *
+ * @param {number} value - Wind speed from the API
+ * @param {string} units - Unit system the value is in
+ * @returns {string} e.g. "14 km/h", "9 mph", "3.9 m/s"
+ */
+export const formatWindSpeed = (value, units) => {
+    if (units === 'imperial') return `${Math.round(value)} mph`;
+    if (units === 'metric') return `${Math.round(value * 3.6)} km/h`;
+    return `${value.toFixed(1)} m/s`;
+};
+
+/**
+ * Format a visibility distance (always meters from the API)
+ *
+ * @param {number} meters - Visibility from the API
+ * @param {string} units - Unit system to display in
+ * @returns {string} e.g. "10 km", "6.2 mi"
+ */
+export const formatVisibility = (meters, units) => {
+    if (units === 'imperial') {
+        const miles = meters / 1609.344;
+        return `${miles >= 10 ? Math.round(miles) : miles.toFixed(1)} mi`;
+    }
+    const kilometers = meters / 1000;
+    return `${kilometers >= 10 ? Math.round(kilometers) : kilometers.toFixed(1)} km`;
+};
@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * React Hook for a live countdown to a timestamp
+ *
+ * Used to show how long until a rate limit (RateLimitError.retryAfter) is
+ * over. Ticks once a second and stops ticking when the time is reached.
+ *
+ * @param {number|null} until - Timestamp (ms) to count down to, or null for no countdown
+ * @returns {number} Whole seconds remaining (0 when there is no countdown or it is over)
+ */
+export const useCountdown = (until) => {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!until) return;
+
+        setNow(Date.now());
+        const timer = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+            if (current >= until) clearInterval(timer);
+        }, 1000);
+
+        return () => clearInterval(timer);
+    }, [until]);
+
+    return until ? Math.max(0, Math.ceil((until - now) / 1000)) : 0;
+};
@@ -0,0 +1,93 @@
+import { getLocationId } from './savedLocations';
+
+/**
+ * WEATHER CACHE
+ *
+ * Keeps recent getWeather responses in localStorage, keyed by rounded
+ * coordinates (the same ~1 km rounding as saved locations) and unit system.
+ * Reloading the page or switching back to a recent location reuses the
+ * cached reading instead of calling OpenWeatherMap again.
+ *
+ * OpenWeatherMap refreshes current conditions roughly every 10 minutes, so
+ * readings older than that are treated as stale; App refreshes in the
+ * background on the same interval.
+ *
+ * Stored shape (localStorage key weatherbeats_weather_cache):
+ *   { "45.52,-122.68|metric": { "storedAt": 1700000000000, "data": { ...getWeather response } } }
+ */
+
+const STORAGE_KEY = 'weatherbeats_weather_cache';
+
+/**
+ * How long a cached reading is used, and how often App refreshes in the background
+ */
+export const WEATHER_CACHE_TTL = 10 * 60 * 1000;
+
+/**
+ * Upper bound on cached readings (oldest are dropped first)
+ */
+const MAX_CACHED_READINGS = 20;
+
+/**
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} units - Unit system the reading is in
+ * @returns {string} Cache key
+ */
+const getCacheKey = (latitude, longitude, units) => `${getLocationId(latitude, longitude)}|${units}`;
+
+/**
+ * Read every cached reading
+ *
+ * @returns {Object} Entries by cache key (empty when missing or corrupt)
+ */
+const readCache = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+        console.error('Error reading weather cache:', error);
+        return {};
+    }
+};
+
+/**
+ * Get a cached reading if it is recent enough
+ *
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} units - Unit system
+ * @param {number} maxAge - Oldest acceptable reading in milliseconds
+ * @returns {Object|null} Cached getWeather response, or null
+ */
+export const getCachedWeather = (latitude, longitude, units, maxAge = WEATHER_CACHE_TTL) => {
+    const entry = readCache()[getCacheKey(latitude, longitude, units)];
+
+    if (!entry || typeof entry.storedAt !== 'number' || Date.now() - entry.storedAt >= maxAge) {
+        return null;
+    }
+    return entry.data;
+};
+
+/**
+ * Store a reading, dropping the oldest beyond MAX_CACHED_READINGS
+ *
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} units - Unit system
+ * @param {Object} data - getWeather response
+ */
+export const cacheWeather = (latitude, longitude, units, data) => {
+    const cache = readCache();
+    cache[getCacheKey(latitude, longitude, units)] = { storedAt: Date.now(), data };
+
+    const newestFirst = Object.entries(cache)
+        .sort(([, a], [, b]) => b.storedAt - a.storedAt)
+        .slice(0, MAX_CACHED_READINGS);
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(newestFirst)));
+    } catch (error) {
+        console.error('Error saving weather cache:', error);
+    }
+};
@@ -0,0 +1,191 @@
+/**
+ * WEATHER-TO-MOOD CATALOG
+ *
+ * Single source of truth for everything the app derives from a weather condition:
+ * the mood card description and genre tags, the weather icon, the background
+ * animation class, the visual theme and the Spotify search strategy.
+ *
+ * The default catalog lives in weatherCatalog.json. Adding a condition or changing
+ * a mood means editing one entry there; Card, WeatherCard, the theme system and
+ * the recommender all read from this module.
+ *
+ * Catalog shape:
+ * - conditions: entries keyed by condition (icon, backgroundClass, description,
+ *   musicStyles, theme, search)
+ * - variants: conditions that split by solar phase, e.g. clear → clearDay/clearNight.
+ *   day and night are required; dawn, goldenHour and dusk are optional and fall
+ *   back to day/night when absent (see solarPhase.js)
+ * - fallback: condition used when the weather API reports something unknown
+ */
+
+import defaultCatalog from './weatherCatalog.json';
+import { getSolarPhase, SOLAR_PHASES } from './solarPhase';
+
+/**
+ * Fields every theme must define so useWeatherTheme can apply it
+ */
+const REQUIRED_THEME_FIELDS = ['name', 'background', 'accent', 'cardBg', 'textPrimary', 'textSecondary', 'particleColor', 'animation', 'mood', 'shadows', 'description'];
+
+/**
+ * Lists every search strategy must define so buildSearchQueries can use it
+ */
+const REQUIRED_SEARCH_FIELDS = ['genres', 'moods', 'artists', 'keywords'];
+
+/**
+ * Currently active catalog (replaced by loadWeatherCatalog)
+ */
+let activeCatalog = null;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Collect every problem with a catalog object
+ *
+ * @param {Object} catalog - Parsed catalog
+ * @returns {Array<string>} Human-readable problems (empty when valid)
+ */
+export const findCatalogProblems = (catalog) => {
+    const problems = [];
+
+    if (!catalog || typeof catalog !== 'object') {
+        return ['Catalog must be an object'];
+    }
+
+    const conditions = catalog.conditions || {};
+    const variants = catalog.variants || {};
+
+    if (Object.keys(conditions).length === 0) {
+        problems.push('Catalog has no conditions');
+    }
+
+    Object.entries(conditions).forEach(([key, entry]) => {
+        if (typeof entry.icon !== 'string') problems.push(`${key}: missing icon`);
+        if (typeof entry.backgroundClass !== 'string') problems.push(`${key}: missing backgroundClass`);
+        if (typeof entry.description !== 'string') problems.push(`${key}: missing description`);
+        if (!Array.isArray(entry.musicStyles) || entry.musicStyles.length === 0) {
+            problems.push(`${key}: missing musicStyles`);
+        }
+
+        REQUIRED_THEME_FIELDS.forEach(field => {
+            if (typeof entry.theme?.[field] !== 'string') problems.push(`${key}: theme is missing ${field}`);
+        });
+
+        REQUIRED_SEARCH_FIELDS.forEach(field => {
+            if (!Array.isArray(entry.search?.[field])) problems.push(`${key}: search is missing ${field}`);
+        });
+    });
+
+    Object.entries(variants).forEach(([key, targets]) => {
+        if (conditions[key]) {
+            problems.push(`${key}: defined both as a condition and as a variant`);
+        }
+        if (!targets.day || !targets.night) {
+            problems.push(`${key}: variant needs both day and night targets`);
+        }
+        Object.entries(targets).forEach(([phase, target]) => {
+            if (!SOLAR_PHASES.includes(phase)) problems.push(`${key}: unknown solar phase ${phase}`);
+            if (!conditions[target]) problems.push(`${key}: variant points to unknown condition ${target}`);
+        });
+    });
+
+    if (!conditions[catalog.fallback] && !variants[catalog.fallback]) {
+        problems.push(`fallback ${catalog.fallback} is not a known condition`);
+    }
+
+    return problems;
+};
+
+/**
+ * Throw if a catalog is incomplete or inconsistent
+ *
+ * @param {Object} catalog - Parsed catalog
+ * @throws {Error} Lists every problem found
+ */
+export const validateWeatherCatalog = (catalog) => {
+    const problems = findCatalogProblems(catalog);
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid weather catalog - ${problems.join('; ')}`);
+    }
+};
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Validate and activate a catalog
+ *
+ * Accepts either a JSON string (e.g. fetched from a file or pasted by a user)
+ * or an already-parsed object. The previous catalog stays active if validation fails.
+ *
+ * @param {string|Object} source - Catalog JSON or object
+ * @returns {Object} The newly active catalog
+ */
+export const loadWeatherCatalog = (source) => {
+    const catalog = typeof source === 'string' ? JSON.parse(source) : source;
+    validateWeatherCatalog(catalog);
+    activeCatalog = catalog;
+    return catalog;
+};
+
+/**
+ * Restore the catalog bundled with the app
+ *
+ * @returns {Object} The default catalog
+ */
+export const resetWeatherCatalog = () => loadWeatherCatalog(defaultCatalog);
+
+/**
+ * @returns {Object} The currently active catalog
+ */
+export const getWeatherCatalog = () => activeCatalog;
+
+/**
+ * @returns {Array<string>} Every condition key in the active catalog
+ */
+export const getCatalogConditions = () => Object.keys(activeCatalog.conditions);
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Map a weather API condition to a catalog condition key
+ *
+ * Handles case-insensitive matching, solar phase variants and the fallback
+ * for conditions the catalog doesn't know. A variant without a target for the
+ * current phase (e.g. no dusk entry) uses its day or night target instead.
+ *
+ * @param {string} weatherMain - Primary condition from the weather API (e.g. 'Rain', 'Clear')
+ * @param {Object} solar - { phase, isDay } from getSolarPhase (defaults to the browser clock)
+ * @returns {string} Condition key present in the catalog
+ */
+export const resolveConditionKey = (weatherMain, solar = getSolarPhase(null)) => {
+    const { conditions, variants, fallback } = activeCatalog;
+    const requested = (weatherMain || '').toLowerCase();
+    const key = conditions[requested] || variants[requested] ? requested : fallback;
+
+    if (variants[key]) {
+        return variants[key][solar.phase] || (solar.isDay ? variants[key].day : variants[key].night);
+    }
+
+    return key;
+};
+
+/**
+ * Get the full catalog entry for a weather condition
+ *
+ * @param {string} weatherMain - Primary condition from the weather API
+ * @param {Object} solar - { phase, isDay } from getSolarPhase (optional)
+ * @returns {Object} Catalog entry plus its resolved key
+ */
+export const getConditionEntry = (weatherMain, solar) => {
+    const key = resolveConditionKey(weatherMain, solar);
+    return { key, ...activeCatalog.conditions[key] };
+};
+
+// Validate and activate the bundled catalog on startup
+resetWeatherCatalog();
@@ -0,0 +1,275 @@
+/**
+ * WEATHER SCORING
+ *
+ * Turns a full OpenWeatherMap payload into continuous music targets so that a
+ * 95°F clear day and a 20°F clear day no longer produce the same playlist.
+ *
+ * Targets (all 0 to 1):
+ * - energy:    how lively the music should be (comfortable, sunny, dry → higher)
+ * - warmth:    how summery vs wintry the music should feel (feels-like temperature)
+ * - intensity: how heavy/driving the music should be (wind, precipitation, storms)
+ *
+ * Search queries and tracks get a profile on the same three axes (from the words
+ * in the query), and are ranked by how close that profile is to the targets.
+ * Every step records why it decided what it did so the picks can be inspected.
+ */
+
+/**
+ * Neutral profile used when nothing in a query says otherwise
+ */
+const NEUTRAL_PROFILE = { energy: 0.5, warmth: 0.5, intensity: 0.5 };
+
+/**
+ * Words that pull a query's profile along each axis
+ *
+ * Values are the axis value a query containing the word leans towards.
+ */
+const PROFILE_LEXICON = {
+    energy: {
+        upbeat: 0.9, energetic: 0.95, dance: 0.9, party: 0.9, workout: 0.95, happy: 0.8, euphoric: 0.9,
+        driving: 0.8, 'feel good': 0.8, celebration: 0.85,
+        chill: 0.25, mellow: 0.2, calm: 0.15, peaceful: 0.15, quiet: 0.1, soft: 0.2, gentle: 0.2,
+        ambient: 0.1, sleepy: 0.05, acoustic: 0.3, 'lo-fi': 0.25, relaxing: 0.15
+    },
+    warmth: {
+        summer: 0.95, sunshine: 0.9, sunny: 0.9, tropical: 0.95, beach: 0.95, reggae: 0.85, 'golden hour': 0.8,
+        warm: 0.8, vacation: 0.85, latin: 0.85,
+        winter: 0.05, cold: 0.05, snow: 0.05, cozy: 0.25, fireplace: 0.15, wintry: 0.05, frost: 0.05,
+        crystalline: 0.15
+    },
+    intensity: {
+        intense: 0.9, heavy: 0.95, metal: 0.95, epic: 0.85, powerful: 0.85, aggressive: 0.95, storm: 0.85,
+        thunder: 0.9, chaotic: 0.95, hardcore: 0.95, punk: 0.8, rock: 0.7, bold: 0.75, dramatic: 0.8,
+        soft: 0.1, gentle: 0.1, dreamy: 0.2, tender: 0.1, soothing: 0.1, serene: 0.1, quiet: 0.1
+    }
+};
+
+/**
+ * Extra query modifiers added when a target leans strongly one way
+ */
+const TARGET_MODIFIERS = {
+    energy: { high: ['upbeat', 'energetic', 'dance'], low: ['chill', 'mellow', 'calm'] },
+    warmth: { high: ['summer', 'tropical', 'sunshine'], low: ['winter', 'cozy', 'fireplace'] },
+    intensity: { high: ['intense', 'heavy', 'epic'], low: ['soft', 'gentle', 'soothing'] }
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convert a temperature in the API's units to °C
+ */
+const toCelsius = (value, units) => {
+    if (units === 'metric') return value;
+    if (units === 'standard') return value - 273.15;
+    return (value - 32) * 5 / 9;
+};
+
+/**
+ * Convert a wind speed in the API's units to m/s (imperial reports mph)
+ */
+const toMetersPerSecond = (value, units) => {
+    return units === 'imperial' ? value * 0.44704 : value;
+};
+
+/**
+ * Precipitation in mm over the last hour (forecast blocks only carry 3h totals)
+ */
+const hourlyVolume = (precipitation) => {
+    if (!precipitation) return 0;
+    if (typeof precipitation['1h'] === 'number') return precipitation['1h'];
+    if (typeof precipitation['3h'] === 'number') return precipitation['3h'] / 3;
+    return 0;
+};
+
+/**
+ * Extra intensity for severe condition groups (OpenWeatherMap condition ids)
+ */
+const severeConditionBoost = (conditionId) => {
+    if (conditionId === 781) return 0.6;                        // Tornado
+    if (conditionId === 771) return 0.3;                        // Squall
+    if (conditionId >= 200 && conditionId < 300) return 0.35;   // Thunderstorm
+    return 0;
+};
+
+// ============================================================================
+// WEATHER → TARGETS
+// ============================================================================
+
+/**
+ * Derive energy/warmth/intensity targets from a weather payload
+ *
+ * @param {Object} weatherData - OpenWeatherMap response (current weather or forecast block)
+ * @param {string} units - Units the payload was requested in ('imperial', 'metric', 'standard')
+ * @returns {{inputs: Object, targets: Object, reasons: Array<string>}}
+ *   inputs are the normalised readings (°C, m/s, mm/h, %), targets the 0-1 values,
+ *   reasons one sentence per adjustment for debugging
+ */
+export const getWeatherTargets = (weatherData, units = 'imperial') => {
+    const main = weatherData?.main || {};
+    const reasons = [];
+
+    const inputs = {
+        temp: round(toCelsius(main.temp ?? 20, units)),
+        feelsLike: round(toCelsius(main.feels_like ?? main.temp ?? 20, units)),
+        humidity: main.humidity ?? 50,
+        windSpeed: round(toMetersPerSecond(weatherData?.wind?.speed ?? 0, units)),
+        cloudCover: weatherData?.clouds?.all ?? 0,
+        rain: round(hourlyVolume(weatherData?.rain)),
+        snow: round(hourlyVolume(weatherData?.snow)),
+        conditionId: weatherData?.weather?.[0]?.id ?? 800
+    };
+
+    // Warmth follows the feels-like temperature: -10°C → 0, 35°C → 1
+    const warmth = clamp((inputs.feelsLike + 10) / 45);
+    reasons.push(`Feels like ${inputs.feelsLike}°C → warmth ${round(warmth)}`);
+
+    // Energy peaks around a comfortable 24°C, and rises with sunshine
+    const comfort = clamp(1 - Math.abs(inputs.feelsLike - 24) / 30);
+    const sunshine = 1 - clamp(inputs.cloudCover / 100);
+    const precipitation = clamp((inputs.rain + inputs.snow) / 8);
+    const mugginess = clamp((inputs.humidity - 60) / 40) * (inputs.feelsLike > 20 ? 1 : 0.3);
+    const energy = clamp(0.15 + 0.45 * comfort + 0.3 * sunshine - 0.25 * precipitation - 0.15 * mugginess);
+    reasons.push(`Comfort ${round(comfort)}, sunshine ${round(sunshine)} (${inputs.cloudCover}% cloud) → energy ${round(energy)}`);
+    if (precipitation > 0) {
+        reasons.push(`${round(inputs.rain + inputs.snow)} mm/h precipitation lowers energy by ${round(0.25 * precipitation)}`);
+    }
+    if (mugginess > 0) {
+        reasons.push(`${inputs.humidity}% humidity feels muggy, lowering energy by ${round(0.15 * mugginess)}`);
+    }
+
+    // Intensity follows wind, precipitation and severe conditions
+    const wind = clamp(inputs.windSpeed / 17);
+    const severity = severeConditionBoost(inputs.conditionId);
+    const intensity = clamp(0.1 + 0.5 * wind + 0.4 * precipitation + severity);
+    reasons.push(`Wind ${inputs.windSpeed} m/s, precipitation ${round(precipitation)} → intensity ${round(intensity)}`);
+    if (severity > 0) {
+        reasons.push(`Severe condition ${inputs.conditionId} adds ${severity} intensity`);
+    }
+
+    return {
+        inputs,
+        targets: { energy: round(energy), warmth: round(warmth), intensity: round(intensity) },
+        reasons
+    };
+};
+
+// ============================================================================
+// QUERY AND TRACK SCORING
+// ============================================================================
+
+/**
+ * Estimate where a search query sits on the energy/warmth/intensity axes
+ *
+ * Each axis is the average of the lexicon values of matching words, or 0.5
+ * when the query has no opinion on that axis.
+ *
+ * @param {string} query - Search query text
+ * @returns {Object} Profile with energy, warmth and intensity (0 to 1)
+ */
+export const getQueryProfile = (query) => {
+    const text = query.toLowerCase();
+    const profile = { ...NEUTRAL_PROFILE };
+
+    Object.entries(PROFILE_LEXICON).forEach(([axis, words]) => {
+        const matches = Object.entries(words)
+            .filter(([word]) => text.includes(word))
+            .map(([, value]) => value);
+
+        if (matches.length > 0) {
+            profile[axis] = round(matches.reduce((sum, value) => sum + value, 0) / matches.length);
+        }
+    });
+
+    return profile;
+};
+
+/**
+ * How close a profile is to the targets (1 = identical, 0 = opposite corner)
+ *
+ * @param {Object} profile - Query or track profile
+ * @param {Object} targets - Targets from getWeatherTargets
+ * @returns {number} Similarity from 0 to 1
+ */
+export const profileSimilarity = (profile, targets) => {
+    const distance = Math.sqrt(
+        Object.keys(NEUTRAL_PROFILE).reduce((sum, axis) => sum + (profile[axis] - targets[axis]) ** 2, 0)
+    );
+    return round(1 - distance / Math.sqrt(3));
+};
+
+/**
+ * Extra queries that push the mix towards strongly-leaning targets
+ *
+ * A target above 0.65 adds "high" modifiers, below 0.35 adds "low" modifiers,
+ * each combined with the strategy's first genres.
+ *
+ * @param {Object} targets - Targets from getWeatherTargets
+ * @param {Array<string>} genres - Genres from the weather search strategy
+ * @returns {Array<string>} Additional search queries
+ */
+export const getTargetModifierQueries = (targets, genres) => {
+    const queries = [];
+
+    Object.entries(TARGET_MODIFIERS).forEach(([axis, { high, low }]) => {
+        const modifiers = targets[axis] > 0.65 ? high : targets[axis] < 0.35 ? low : [];
+        modifiers.forEach((modifier, index) => {
+            queries.push(`${modifier} ${genres[index % Math.max(genres.length, 1)] || 'music'}`);
+            queries.push(`${modifier} music`);
+        });
+    });
+
+    return queries;
+};
+
+/**
+ * Order queries so the best-matching ones are usually tried first
+ *
+ * Weighted random ordering: each query's weight grows with its similarity to
+ * the targets, so the mix shifts towards the weather without becoming identical
+ * on every regeneration.
+ *
+ * @param {Array<string>} queries - Search queries
+ * @param {Object} targets - Targets from getWeatherTargets
+ * @returns {Array<{query: string, profile: Object, weight: number}>} Ordered, annotated queries
+ */
+export const rankQueries = (queries, targets) => {
+    return queries
+        .map(query => {
+            const profile = getQueryProfile(query);
+            const weight = round(0.25 + 2 * profileSimilarity(profile, targets) ** 2);
+            return { query, profile, weight, sortKey: Math.random() ** (1 / weight) };
+        })
+        .sort((a, b) => b.sortKey - a.sortKey)
+        .map(({ query, profile, weight }) => ({ query, profile, weight }));
+};
+
+/**
+ * Score a track against the targets
+ *
+ * Tracks inherit the profile of the query that found them. Popularity gives a
+ * small boost, and a little jitter keeps regenerations from repeating exactly.
+ *
+ * @param {Object} track - Track with search_query from searchTracks
+ * @param {Object} targets - Targets from getWeatherTargets
+ * @returns {{score: number, profile: Object, components: Object}} Score with its parts
+ */
+export const scoreTrack = (track, targets) => {
+    const profile = getQueryProfile(track.search_query || '');
+    const components = {
+        match: round(0.7 * profileSimilarity(profile, targets)),
+        popularity: round(0.2 * ((track.popularity ?? 50) / 100)),
+        jitter: round(0.1 * Math.random())
+    };
+
+    return {
+        score: round(components.match + components.popularity + components.jitter),
+        profile,
+        components
+    };
+};
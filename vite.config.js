@@ -1,12 +1,62 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { handleTokenRequest } from './netlify/functions/spotify-token.js'
+import { handleWeatherRequest } from './netlify/functions/weather.js'
+
+/**
+ * Function handlers by the path netlify.toml routes to them
+ */
+const FUNCTION_ROUTES = {
+  '/api/spotify-token': handleTokenRequest,
+  '/api/weather': handleWeatherRequest
+}
+
+/**
+ * Local stand-in for the Netlify Functions under /api
+ *
+ * Mounts the same handlers Netlify runs on the dev and preview servers, with
+ * the server-only variables (SPOTIFY_CLIENT_ID, SPOTIFY_CLIENT_SECRET,
+ * WEATHER_API_KEY, WEATHER_MOCK) read from .env. Only VITE_-prefixed
+ * variables reach the browser bundle.
+ */
+const netlifyFunctions = (env) => {
+  const mount = (middlewares) => {
+    Object.entries(FUNCTION_ROUTES).forEach(([path, handler]) => {
+      middlewares.use(path, async (req, res) => {
+        try {
+          const response = await handler(
+            new Request(new URL(req.originalUrl, 'http://localhost'), { method: req.method }),
+            env,
+            { ip: req.socket.remoteAddress }
+          )
+          res.statusCode = response.status
+          response.headers.forEach((value, key) => res.setHeader(key, value))
+          res.end(await response.text())
+        } catch (error) {
+          console.error(`${path} (dev):`, error)
+          res.statusCode = 500
+          res.end(JSON.stringify({ error: 'Function failed' }))
+        }
+      })
+    })
+  }
+
+  return {
+    name: 'netlify-functions-dev',
+    configureServer: (server) => mount(server.middlewares),
+    configurePreviewServer: (server) => mount(server.middlewares)
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    host: '127.0.0.1',
-    port: 5173
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), ['SPOTIFY_', 'VITE_SPOTIFY_', 'WEATHER_', 'VITE_WEATHER_'])
+
+  return {
+    plugins: [react(), netlifyFunctions(env)],
+    server: {
+      host: '127.0.0.1',
+      port: 5173
+    }
   }
 })
-